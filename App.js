@@ -1,79 +1,945 @@
-import React, { useState, useEffect, useContext, createContext } from 'react';
+import React, { useState, useEffect, useContext, createContext, useCallback, useMemo, useRef } from 'react';
 
 // --- LocalStorage Keys ---
 const LS_USERS = 'blog_users';
+const LS_FOLLOWS = 'blog_follows';
 const LS_POSTS = 'blog_posts';
 const LS_COMMENTS = 'blog_comments';
-const LS_CURRENT_USER = 'blog_currentUser';
+const LS_IMAGES = 'blog_images';
+const LS_NOTIFICATIONS = 'blog_notifications';
+const LS_DRAFTS = 'blog_drafts';
+const LS_REVISIONS = 'blog_revisions';
+const LS_REPORTS = 'blog_reports';
+const LS_AUDIT_LOG = 'blog_auditLog';
+const LS_MESSAGES = 'blog_messages';
+const LS_BLOCKS = 'blog_blocks';
+const LS_BOOKMARKS = 'blog_bookmarks';
+const LS_BOOKMARK_COLLECTIONS = 'blog_bookmarkCollections';
+const LS_CURRENT_USER = 'blog_currentUser'; // Legacy unsigned session, removed on load
+const LS_SESSION = 'blog_session';
+const LS_SESSION_SECRET = 'blog_sessionSecret';
+const LS_SCHEMA_VERSIONS = 'blog_schemaVersions';
+const LS_QUARANTINE = 'blog_quarantine';
+const LS_OUTBOX = 'blog_outbox';
+const LS_MAIL = 'blog_mail';
 
 // --- Helper Functions ---
-const formatTimestamp = (isoString) => {
-  if (!isoString) return 'Just now';
-  return new Date(isoString).toLocaleString();
+// The full date and time in `locale` and `timeZone`, the browser's own by default.
+// Missing or unreadable dates format as ''.
+const formatTimestamp = (isoString, { locale, timeZone } = {}) => {
+  const date = isoString ? new Date(isoString) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone }).format(date);
+  } catch (err) {
+    // An unknown time zone falls back to the browser's
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+  }
+};
+
+// Largest unit first; a time is described in the first unit it spans
+const RELATIVE_TIME_UNITS = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+];
+
+// "5 minutes ago", "yesterday" or "in 3 days", relative to `now`
+const formatRelativeTime = (isoString, now, locale) => {
+  const date = isoString ? new Date(isoString) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  const seconds = (date - now) / 1000;
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const match = RELATIVE_TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size);
+  if (!match) return format.format(0, 'second');
+  const [unit, size] = match;
+  return format.format(Math.round(seconds / size), unit);
 };
 
 // Simple ID generator for mock data
 const generateId = () => `id_${Math.random().toString(36).substr(2, 9)}`;
 
+// --- Password & Session Crypto ---
+const PBKDF2_ITERATIONS = 100000;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+const textEncoder = new TextEncoder();
+
+const bytesToBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const base64UrlToBytes = (str) =>
+  Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+const randomBase64Url = (byteLength) => bytesToBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+// Returns an error message if the password breaks the rules, otherwise null
+const validatePassword = (password) => {
+  if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) return "Password must contain both letters and numbers";
+  return null;
+};
+
+const hashPassword = async (password, salt) => {
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: base64UrlToBytes(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    key,
+    256
+  );
+  return bytesToBase64Url(bits);
+};
+
+// Reset and verification tokens are mailed out in full but only stored hashed
+const hashToken = async (token) =>
+  bytesToBase64Url(await crypto.subtle.digest('SHA-256', textEncoder.encode(token)));
+
+// The HMAC key is created once per browser and used to sign session tokens
+const getSigningKey = () => {
+  let secret = localStorage.getItem(LS_SESSION_SECRET);
+  if (!secret) {
+    secret = randomBase64Url(32);
+    localStorage.setItem(LS_SESSION_SECRET, secret);
+  }
+  return crypto.subtle.importKey('raw', base64UrlToBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+};
+
+// `sessionVersion` goes up whenever the user's password changes, which ends
+// every session signed before then
+const signSessionToken = async (uid, sessionVersion = 0) => {
+  const claims = { uid, ver: sessionVersion, exp: Date.now() + SESSION_TTL_MS };
+  const payload = bytesToBase64Url(textEncoder.encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), textEncoder.encode(payload));
+  return `${payload}.${bytesToBase64Url(signature)}`;
+};
+
+// Returns the token's claims, or null if it is malformed, tampered with or expired
+const verifySessionToken = async (token) => {
+  try {
+    const [payload, signature] = token.split('.');
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getSigningKey(),
+      base64UrlToBytes(signature),
+      textEncoder.encode(payload)
+    );
+    if (!valid) return null;
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payload)));
+    return claims.exp > Date.now() ? claims : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Strip credentials and pending tokens before a user object leaves AuthProvider.
+// The logged-in user still sees their own email addresses.
+const toOwnUser = ({ password, passwordHash, salt, passwordReset, emailVerification, sessionVersion, ...user }) => user;
+
+// What everyone else gets to see of a user
+const toPublicUser = (user) => {
+  const { email, pendingEmail, ...rest } = toOwnUser(user);
+  return rest;
+};
+
+// --- Roles ---
+// Each role can do everything the roles before it can
+const ROLES = ['user', 'moderator', 'admin'];
+
+const getRole = (user) => (user && user.role) || 'user';
+
+const hasRole = (user, role) => !!user && ROLES.indexOf(getRole(user)) >= ROLES.indexOf(role);
+
+const outranks = (user, other) => ROLES.indexOf(getRole(user)) > ROLES.indexOf(getRole(other));
+
+// Someone must always be able to appoint moderators and admins
+const isLastAdmin = (user, users) =>
+  getRole(user) === 'admin' && users.filter(u => getRole(u) === 'admin').length <= 1;
+
+// --- Permissions ---
+// Who may do what, in one place. Each rule gets the acting user (null when
+// logged out) and the record acted on; the data layer checks them on every
+// change and the UI uses them to decide which buttons to show.
+const isOwner = (user, record, field = 'authorId') => !!user && !!record && record[field] === user.uid;
+
+const PERMISSIONS = {
+  'post.create': { allow: (user) => !!user, message: "You must be logged in to post" },
+  'post.update': { allow: isOwner, message: "You can only edit your own posts" },
+  'post.delete': {
+    allow: (user, post) => isOwner(user, post) || hasRole(user, 'moderator'),
+    message: "You can only delete your own posts",
+  },
+  'comment.create': { allow: (user) => !!user, message: "You must be logged in to comment" },
+  'comment.update': { allow: isOwner, message: "You can only edit your own comments" },
+  // Post authors may tidy up the comments on their own posts
+  'comment.delete': {
+    allow: (user, { comment, post }) => isOwner(user, comment) || isOwner(user, post) || hasRole(user, 'moderator'),
+    message: "You can only delete your own comments or comments on your posts",
+  },
+  'reaction.set': { allow: (user) => !!user, message: "You must be logged in to react" },
+  'draft.write': { allow: isOwner, message: "You can only change your own drafts" },
+  'draft.read': { allow: isOwner, message: "You can only see your own drafts" },
+  'image.upload': { allow: (user) => !!user, message: "You must be logged in to upload images" },
+  'image.delete': { allow: (user, image) => isOwner(user, image, 'ownerId'), message: "You can only delete your own images" },
+  'notification.update': { allow: (user, n) => isOwner(user, n, 'recipientId'), message: "You can only update your own notifications" },
+  'follow.notify': { allow: (user, follow) => isOwner(user, follow, 'followerId'), message: "You can only follow people as yourself" },
+  'report.create': { allow: (user) => !!user, message: "You must be logged in to report content" },
+  'content.moderate': { allow: (user) => hasRole(user, 'moderator'), message: "Only moderators can do that" },
+  // Moderators can only suspend people below them, so they can't suspend each other
+  'user.suspend': {
+    allow: (user, target) => hasRole(user, 'moderator') && outranks(user, target),
+    message: "You can only suspend users with a lower role than yours",
+  },
+  // Changing your own role could leave nobody able to appoint admins
+  'user.setRole': {
+    allow: (user, target) => hasRole(user, 'admin') && !isOwner(user, target, 'uid'),
+    message: "Only admins can change roles, and not their own",
+  },
+  // `users` is everyone stored, so the last admin can't leave the site without one
+  'user.erase': {
+    allow: (user, { target, users }) =>
+      (isOwner(user, target, 'uid') || hasRole(user, 'admin')) && !isLastAdmin(target, users),
+    message: "You can only delete your own account, and not while you are the only admin. Appoint another admin first.",
+  },
+  'user.export': {
+    allow: (user, target) => isOwner(user, target, 'uid') || hasRole(user, 'admin'),
+    message: "You can only download your own data",
+  },
+  'admin.access': { allow: (user) => hasRole(user, 'admin'), message: "Only admins can do that" },
+  // `blocked` is true when either person has blocked the other
+  'message.send': {
+    allow: (user, { recipientId, blocked }) => !!user && recipientId !== user.uid && !blocked,
+    message: "You can't send messages to this person",
+  },
+  'message.read': { allow: (user, message) => isOwner(user, message, 'recipientId'), message: "You can only mark messages sent to you as read" },
+  'block.write': { allow: (user, block) => isOwner(user, block, 'blockerId'), message: "You can only change your own blocks" },
+  'bookmark.write': { allow: (user, bookmark) => isOwner(user, bookmark, 'userId'), message: "You can only change your own bookmarks" },
+  'collection.write': { allow: (user, collection) => isOwner(user, collection, 'ownerId'), message: "You can only change your own collections" },
+};
+
+/**
+ * Thrown when the acting user isn't allowed to do something. `action` is the
+ * PERMISSIONS key that was refused.
+ */
+class PermissionError extends Error {
+  constructor(action) {
+    super(PERMISSIONS[action].message);
+    this.name = 'PermissionError';
+    this.action = action;
+  }
+}
+
+const can = (user, action, resource) => {
+  if (!PERMISSIONS[action]) throw new Error(`Unknown permission "${action}"`);
+  return PERMISSIONS[action].allow(user || null, resource);
+};
+
+const authorize = (user, action, resource) => {
+  if (!can(user, action, resource)) throw new PermissionError(action);
+};
+
+// Permission errors explain themselves; anything else gets the caller's wording
+const errorMessage = (err, fallback) => (err instanceof PermissionError ? err.message : fallback);
+
+// --- Storage Issues ---
+// Problems found in stored data are collected here and shown on screen by
+// StorageWarnings rather than crashing the app
+const storageIssues = [];
+const storageIssueListeners = new Set();
+
+const notifyStorageIssueListeners = () => {
+  // Issues can surface while a component is rendering; update the banner afterwards
+  Promise.resolve().then(() => storageIssueListeners.forEach(listener => listener()));
+};
+
+const reportStorageIssue = (issue) => {
+  storageIssues.push({ ...issue, id: generateId() });
+  notifyStorageIssueListeners();
+};
+
+const readQuarantine = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(LS_QUARANTINE) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Moves unreadable data out of the way, so it is neither parsed again nor
+// overwritten by the next save, and keeps it for the user to download
+const quarantine = (key, raw, reason) => {
+  try {
+    localStorage.setItem(LS_QUARANTINE, JSON.stringify([
+      ...readQuarantine(),
+      { id: generateId(), key, raw, reason, quarantinedAt: new Date().toISOString() },
+    ]));
+    localStorage.removeItem(key);
+  } catch (err) {
+    // Most likely out of space: leave the data where it is and say so
+    console.error(`Could not quarantine ${key}: `, err);
+    reportStorageIssue({ key, message: `Stored data under "${key}" is unreadable (${reason}) and could not be set aside.` });
+    return;
+  }
+  notifyStorageIssueListeners();
+};
+
+// --- Shared localStorage Lists ---
+// Anything that isn't a JSON list is quarantined and read as empty
+const readStoredList = (key) => {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return [];
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    quarantine(key, raw, err.message);
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    quarantine(key, raw, 'expected a list');
+    return [];
+  }
+  return list;
+};
+
+// Read-modify-write straight against localStorage, so a change another tab made
+// in the meantime is kept instead of being overwritten by a stale copy
+const updateStoredList = (key, updater) => {
+  const next = updater(readStoredList(key));
+  localStorage.setItem(key, JSON.stringify(next));
+  return next;
+};
+
+// --- Stored Schema ---
+// Each stored list has a schema version, recorded under LS_SCHEMA_VERSIONS. Data
+// saved before versions existed counts as version 1. Migrations run in order
+// at startup; each takes the whole list to its `version`.
+const uniqueUidByName = (users, name) => {
+  const matches = users.filter(u => u.displayName === name);
+  return matches.length === 1 ? matches[0].uid : null;
+};
+
+// Early posts and comments only had an author name; link them back to the user
+const withAuthorId = (record, users) =>
+  record.authorId !== undefined ? record.authorId : uniqueUidByName(users, record.authorName);
+
+const SCHEMA_MIGRATIONS = {
+  [LS_USERS]: [
+    {
+      version: 2,
+      description: 'the oldest account becomes admin if nobody is',
+      // Accounts are stored in sign-up order
+      up: (users) => (users.length === 0 || users.some(u => u.role === 'admin')
+        ? users
+        : users.map((user, i) => (i === 0 ? { ...user, role: 'admin' } : user))),
+    },
+  ],
+  [LS_POSTS]: [
+    {
+      version: 2,
+      description: 'likes, updatedAt and authorId on every post',
+      up: (posts, { users }) => posts.map(post => ({
+        ...post,
+        likes: Array.isArray(post.likes) ? post.likes : [],
+        likedAt: post.likedAt || {},
+        updatedAt: post.updatedAt || post.editedAt || post.createdAt,
+        authorId: withAuthorId(post, users),
+      })),
+    },
+    {
+      version: 3,
+      description: 'likes become "like" reactions',
+      up: (posts) => posts.map(({ likes = [], likedAt = {}, ...post }) => ({
+        ...post,
+        reactions: post.reactions || Object.fromEntries(likes.map(uid => [uid, { type: 'like', at: likedAt[uid] || null }])),
+      })),
+    },
+    {
+      version: 4,
+      description: 'version number on every post',
+      up: (posts) => posts.map(post => ({ ...post, version: post.version || 1 })),
+    },
+  ],
+  [LS_COMMENTS]: [
+    {
+      version: 2,
+      description: 'parentId, updatedAt and authorId on every comment',
+      up: (comments, { users }) => comments.map(comment => ({
+        ...comment,
+        parentId: comment.parentId || null,
+        updatedAt: comment.updatedAt || comment.editedAt || comment.createdAt,
+        authorId: withAuthorId(comment, users),
+      })),
+    },
+    {
+      version: 3,
+      description: 'reactions on every comment',
+      up: (comments) => comments.map(comment => ({ ...comment, reactions: comment.reactions || {} })),
+    },
+    {
+      version: 4,
+      description: 'version number on every comment',
+      up: (comments) => comments.map(comment => ({ ...comment, version: comment.version || 1 })),
+    },
+  ],
+  [LS_NOTIFICATIONS]: [
+    {
+      version: 2,
+      description: 'like notifications become reaction notifications',
+      up: (notifications) => notifications.map(n => n.type === 'like' ? { ...n, type: 'reaction', reaction: 'like' } : n),
+    },
+  ],
+};
+
+// Users first: later migrations look them up
+const STORED_LISTS = [
+  LS_USERS, LS_FOLLOWS, LS_POSTS, LS_COMMENTS, LS_IMAGES, LS_NOTIFICATIONS,
+  LS_DRAFTS, LS_REVISIONS, LS_REPORTS, LS_AUDIT_LOG, LS_MESSAGES, LS_BLOCKS,
+  LS_BOOKMARKS, LS_BOOKMARK_COLLECTIONS, LS_OUTBOX, LS_MAIL,
+];
+
+const latestSchemaVersion = (key) =>
+  (SCHEMA_MIGRATIONS[key] || []).reduce((latest, m) => Math.max(latest, m.version), 1);
+
+// Runs the migrations for `key` that are newer than `fromVersion`
+const migrateRecords = (key, records, fromVersion, context) =>
+  (SCHEMA_MIGRATIONS[key] || [])
+    .filter(m => m.version > fromVersion)
+    .reduce((migrated, m) => m.up(migrated, context), records);
+
+// Queued writes for posts and comments (see Outbox) hold whole records that
+// were saved in the old shape, so they are upgraded along with their list.
+// Patches only hold fields the editor owns and are left as they are.
+const QUEUED_COLLECTIONS = { [LS_POSTS]: 'posts', [LS_COMMENTS]: 'comments' };
+
+// The outbox with `key`'s queued records migrated, or null if nothing is queued for it
+const migrateQueuedRecords = (key, fromVersion, context) => {
+  const collection = QUEUED_COLLECTIONS[key];
+  const entries = readStoredList(LS_OUTBOX);
+  if (!collection || !entries.some(e => e.collection === collection && e.record)) return null;
+  return entries.map(entry => (entry.collection === collection && entry.record
+    ? { ...entry, record: migrateRecords(key, [entry.record], fromVersion, context)[0] }
+    : entry));
+};
+
+const readSchemaVersions = () => {
+  try {
+    const versions = JSON.parse(localStorage.getItem(LS_SCHEMA_VERSIONS) || '{}');
+    return versions && typeof versions === 'object' ? versions : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Brings every stored list up to the current schema. A list written by a newer
+ * version of the app, or one whose migration fails, is left untouched and reported.
+ */
+const migrateStoredLists = () => {
+  const versions = readSchemaVersions();
+  for (const key of STORED_LISTS) {
+    const latest = latestSchemaVersion(key);
+    const hasData = localStorage.getItem(key) !== null;
+    const stored = versions[key] || (hasData ? 1 : latest);
+    if (stored > latest) {
+      reportStorageIssue({ key, message: `Data under "${key}" was saved by a newer version of the app (schema ${stored}); some of it may not show correctly.` });
+      continue;
+    }
+    if (stored < latest) {
+      try {
+        const context = { users: readStoredList(LS_USERS) };
+        const migrated = migrateRecords(key, readStoredList(key), stored, context);
+        const outbox = migrateQueuedRecords(key, stored, context);
+        localStorage.setItem(key, JSON.stringify(migrated));
+        if (outbox) localStorage.setItem(LS_OUTBOX, JSON.stringify(outbox));
+      } catch (err) {
+        console.error(`Migrating ${key} failed: `, err);
+        reportStorageIssue({ key, message: `Data under "${key}" could not be upgraded: ${err.message}` });
+        continue;
+      }
+    }
+    versions[key] = latest;
+  }
+  localStorage.setItem(LS_SCHEMA_VERSIONS, JSON.stringify(versions));
+};
+
+// --- Mail ---
+// A mailer has one method, send({ to, subject, text }), which resolves once the
+// message has been handed over. A real deployment passes AuthProvider a mailer
+// backed by an email service. The local stand-in below keeps the latest messages
+// in localStorage instead, and also offers list() and clear() so the Mail
+// outbox page can show them and their links can be followed.
+const MAIL_OUTBOX_LIMIT = 50;
+
+const createLocalMailer = () => ({
+  send: async ({ to, subject, text }) => {
+    const message = { id: generateId(), to, subject, text, sentAt: new Date().toISOString() };
+    updateStoredList(LS_MAIL, list => [message, ...list].slice(0, MAIL_OUTBOX_LIMIT));
+    return message;
+  },
+  list: () => readStoredList(LS_MAIL),
+  clear: () => localStorage.removeItem(LS_MAIL),
+});
+
+const defaultMailer = createLocalMailer();
+
+// The outbox shows captured reset links to whoever is at the browser, so a
+// production build only offers it for a mailer that was passed in on purpose
+const IS_PRODUCTION = typeof process !== 'undefined' && process.env.NODE_ENV === 'production';
+
 // --- Mock Auth Context ---
 const AuthContext = createContext();
 
 const useAuth = () => useContext(AuthContext);
 
-const AuthProvider = ({ children }) => {
+const AuthProvider = ({ mailer = defaultMailer, children }) => {
   const [currentUser, setCurrentUser] = useState(null);
-  const [users, setUsers] = useState(() => JSON.parse(localStorage.getItem(LS_USERS) || '[]'));
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [authLoading, setAuthLoading] = useState(true);
+  const [users, setUsers] = useState(() => readStoredList(LS_USERS));
+  // Each follow is { followerId, followeeId, createdAt }
+  const [follows, setFollows] = useState(() => readStoredList(LS_FOLLOWS));
 
-  // Load current user from storage on mount
-  useEffect(() => {
-    const storedUser = localStorage.getItem(LS_CURRENT_USER);
-    if (storedUser) {
-      setCurrentUser(JSON.parse(storedUser));
-    }
+  const logout = useCallback(() => {
+    setCurrentUser(null);
+    setSessionExpiresAt(null);
+    localStorage.removeItem(LS_SESSION);
   }, []);
 
-  // Sync users list to storage
+  const startSession = async (user) => {
+    const token = await signSessionToken(user.uid, user.sessionVersion);
+    localStorage.setItem(LS_SESSION, token);
+    setSessionExpiresAt(Date.now() + SESSION_TTL_MS);
+    setCurrentUser(toOwnUser(user));
+  };
+
+  // Trust the stored session only if its token verifies, its user still exists
+  // and their password hasn't changed since it was signed
+  const restoreSession = useCallback(async () => {
+    const token = localStorage.getItem(LS_SESSION);
+    const claims = token && await verifySessionToken(token);
+    const user = claims && readStoredList(LS_USERS)
+      .find(u => u.uid === claims.uid && (u.sessionVersion || 0) === (claims.ver || 0));
+    // A suspension ends any session the user already has
+    if (user && !user.suspension) {
+      setCurrentUser(toOwnUser(user));
+      setSessionExpiresAt(claims.exp);
+    } else {
+      logout();
+    }
+  }, [logout]);
+
+  // Verify the stored session token on mount
+  useEffect(() => {
+    // Sessions used to be an unsigned user blob; never trust those
+    localStorage.removeItem(LS_CURRENT_USER);
+    restoreSession().finally(() => setAuthLoading(false));
+  }, [restoreSession]);
+
+  // Other tabs announce their changes through storage events: pick up their
+  // users and follows, and log in or out along with them
+  useEffect(() => {
+    const handleStorage = (e) => {
+      const all = e.key === null; // localStorage.clear()
+      if (all || e.key === LS_USERS) setUsers(readStoredList(LS_USERS));
+      if (all || e.key === LS_FOLLOWS) setFollows(readStoredList(LS_FOLLOWS));
+      if (all || e.key === LS_SESSION || e.key === LS_USERS) restoreSession();
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [restoreSession]);
+
+  // Log out as soon as the session expires
   useEffect(() => {
-    localStorage.setItem(LS_USERS, JSON.stringify(users));
-  }, [users]);
+    if (!sessionExpiresAt) return;
+    const timer = setTimeout(logout, Math.max(0, sessionExpiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [sessionExpiresAt, logout]);
+
+
+  // Only tell someone their account is suspended once they've proven it's theirs
+  const refuseSuspended = (user) => {
+    if (user.suspension) {
+      const reason = user.suspension.reason ? ` Reason: ${user.suspension.reason}` : '';
+      throw new Error(`This account has been suspended by a moderator.${reason}`);
+    }
+  };
+
+  const login = async (email, password) => {
+    const user = users.find(u => u.email === email);
+    if (!user) throw new Error("Invalid email or password");
 
-  const login = (email, password) => {
-    const user = users.find(u => u.email === email && u.password === password);
-    if (user) {
-      // In a real app, don't store password in the user object
-      const { password: _, ...userToStore } = user;
-      setCurrentUser(userToStore);
-      localStorage.setItem(LS_CURRENT_USER, JSON.stringify(userToStore));
+    if (user.passwordHash) {
+      const hash = await hashPassword(password, user.salt);
+      if (hash !== user.passwordHash) throw new Error("Invalid email or password");
+      refuseSuspended(user);
+      await startSession(user);
       return true;
     }
-    throw new Error("Invalid email or password");
+
+    // Accounts created before hashing kept the password in plain text; upgrade them now
+    if (user.password !== password) throw new Error("Invalid email or password");
+    refuseSuspended(user);
+    const salt = randomBase64Url(16);
+    const { password: _, ...rest } = user;
+    const upgradedUser = { ...rest, salt, passwordHash: await hashPassword(password, salt) };
+    setUsers(updateStoredList(LS_USERS, list => list.map(u => u.uid === user.uid ? upgradedUser : u)));
+    await startSession(upgradedUser);
+    return true;
   };
 
-  const signup = (email, password, displayName) => {
-    if (users.find(u => u.email === email)) {
+  const signup = async (email, password, displayName) => {
+    // Check the stored list, which may include sign-ups from other tabs
+    if (readStoredList(LS_USERS).find(u => u.email === email)) {
       throw new Error("User already exists");
     }
+    const passwordError = validatePassword(password);
+    if (passwordError) throw new Error(passwordError);
+
+    const salt = randomBase64Url(16);
     const newUser = {
       uid: generateId(),
+      // Someone has to be able to appoint moderators: the very first account is
+      // the admin. Older data gets one from the LS_USERS migration, never from a sign-up.
+      role: readStoredList(LS_USERS).length === 0 ? 'admin' : 'user',
       email,
-      password, // NOTE: Storing plain text passwords is a huge security risk. Only for demo.
-      displayName
+      emailVerified: false,
+      salt,
+      passwordHash: await hashPassword(password, salt),
+      displayName,
+      bio: '',
+      avatarUrl: '',
+      createdAt: new Date().toISOString(),
     };
-    setUsers([...users, newUser]);
-    
+    setUsers(updateStoredList(LS_USERS, list => [...list, newUser]));
+
     // Log them in
-    const { password: _, ...userToStore } = newUser;
-    setCurrentUser(userToStore);
-    localStorage.setItem(LS_CURRENT_USER, JSON.stringify(userToStore));
+    await startSession(newUser);
+    // They can verify later from the banner, so a mail failure doesn't undo the signup
+    await sendVerification(newUser, email).catch(err => console.error("Error sending verification email: ", err));
   };
 
-  const logout = () => {
-    setCurrentUser(null);
-    localStorage.removeItem(LS_CURRENT_USER);
+  // Public details of any user, e.g. for profile pages
+  const getUser = (uid) => {
+    const user = users.find(u => u.uid === uid);
+    return user ? toPublicUser(user) : null;
+  };
+
+  // Email addresses are private; only admins see other people's
+  const getUserEmail = (uid) => {
+    const actor = currentUser && readStoredList(LS_USERS).find(u => u.uid === currentUser.uid);
+    if (!can(actor, 'admin.access')) return null;
+    const user = users.find(u => u.uid === uid);
+    return user ? user.email : null;
+  };
+
+  // Only the display name, bio and avatar can be edited from the profile page
+  const updateProfile = ({ displayName, bio, avatarUrl }) => {
+    if (!currentUser) throw new Error("You must be logged in to edit your profile");
+    if (!displayName || !displayName.trim()) throw new Error("Display name cannot be empty");
+
+    const changes = { displayName: displayName.trim(), bio: bio.trim(), avatarUrl: avatarUrl.trim() };
+    setUsers(updateStoredList(LS_USERS, list => list.map(u => u.uid === currentUser.uid ? { ...u, ...changes } : u)));
+    setCurrentUser(prev => ({ ...prev, ...changes }));
+  };
+
+  // Language and time zone used to format the app; '' follows the browser
+  const updatePreferences = ({ language, timeZone }) => {
+    if (!currentUser) throw new Error("You must be logged in to change your preferences");
+    if (language && !LOCALES[language]) throw new Error("That language isn't available");
+    if (timeZone && !isValidTimeZone(timeZone)) throw new Error("Unknown time zone");
+
+    const changes = { language: language || '', timeZone: timeZone || '' };
+    setUsers(updateStoredList(LS_USERS, list => list.map(u => u.uid === currentUser.uid ? { ...u, ...changes } : u)));
+    setCurrentUser(prev => ({ ...prev, ...changes }));
+  };
+
+  // --- Email and password ---
+  // Writes changes to a stored user, and to the session if it is theirs
+  const saveUser = (uid, changes) => {
+    setUsers(updateStoredList(LS_USERS, list => list.map(u => u.uid === uid ? { ...u, ...changes } : u)));
+    setCurrentUser(prev => prev && prev.uid === uid ? toOwnUser({ ...prev, ...changes }) : prev);
+  };
+
+  const appLink = (path) => `${window.location.origin}${path}`;
+
+  const expiresIn = (ms) => new Date(Date.now() + ms).toISOString();
+
+  // Mail goes out in the recipient's language
+  const sendMail = (user, to, key, params = {}) => {
+    const locale = LOCALES[user.language] ? user.language : detectLocale();
+    return mailer.send({
+      to,
+      subject: translate(locale, `mail.${key}.subject`),
+      text: translate(locale, `mail.${key}.body`, { name: user.displayName, ...params }),
+    });
+  };
+
+  // The user whose pending `field` ('passwordReset' or 'emailVerification') holds this token
+  const findUserByToken = async (field, token) => {
+    const tokenHash = await hashToken(token);
+    return readStoredList(LS_USERS).find(u => u[field] && u[field].tokenHash === tokenHash) || null;
+  };
+
+  // Also ends every session the user has, in case someone else holds one
+  const newPasswordFields = async (user, password) => {
+    const salt = randomBase64Url(16);
+    return {
+      // Dropping `password` retires any plain-text password left from before hashing
+      password: undefined,
+      salt,
+      passwordHash: await hashPassword(password, salt),
+      sessionVersion: (user.sessionVersion || 0) + 1,
+    };
+  };
+
+  // Mails a link proving `email` is the user's: their own address, or the one
+  // they asked to change to. Only the latest link works.
+  const sendVerification = async (user, email) => {
+    const token = randomBase64Url(32);
+    saveUser(user.uid, {
+      pendingEmail: email === user.email ? null : email,
+      emailVerification: { tokenHash: await hashToken(token), expiresAt: expiresIn(EMAIL_VERIFICATION_TTL_MS) },
+    });
+    await sendMail(user, email, 'verify', {
+      link: appLink(`/verify-email?token=${token}`),
+      hours: EMAIL_VERIFICATION_TTL_MS / 3600000,
+    });
   };
 
+  const resendVerification = async () => {
+    const user = currentUser && readStoredList(LS_USERS).find(u => u.uid === currentUser.uid);
+    if (!user) throw new Error("You must be logged in");
+    if (user.emailVerified && !user.pendingEmail) throw new Error("Your email address is already verified");
+    await sendVerification(user, user.pendingEmail || user.email);
+  };
+
+  // Works without logging in, since the link may be opened anywhere. Returns the verified address.
+  const verifyEmail = async (token) => {
+    const user = token && await findUserByToken('emailVerification', token);
+    if (!user) throw new Error("This verification link is invalid or has already been used");
+    if (new Date(user.emailVerification.expiresAt) <= new Date()) {
+      throw new Error("This verification link has expired. Log in to send a new one.");
+    }
+    const email = user.pendingEmail || user.email;
+    if (readStoredList(LS_USERS).some(u => u.uid !== user.uid && u.email === email)) {
+      throw new Error("That email address is already used by another account");
+    }
+    saveUser(user.uid, { email, emailVerified: true, pendingEmail: null, emailVerification: null });
+    return email;
+  };
+
+  // Resolves the same way whether or not the address has an account, so the
+  // form can't be used to find out who is signed up
+  const requestPasswordReset = async (email) => {
+    const user = readStoredList(LS_USERS).find(u => u.email === email.trim());
+    if (!user) return;
+    const token = randomBase64Url(32);
+    saveUser(user.uid, { passwordReset: { tokenHash: await hashToken(token), expiresAt: expiresIn(PASSWORD_RESET_TTL_MS) } });
+    await sendMail(user, user.email, 'reset', {
+      link: appLink(`/reset-password?token=${token}`),
+      minutes: PASSWORD_RESET_TTL_MS / 60000,
+    });
+  };
+
+  // A reset token works once: it is removed along with the old password
+  const resetPassword = async (token, password) => {
+    const user = token && await findUserByToken('passwordReset', token);
+    if (!user) throw new Error("This reset link is invalid or has already been used");
+    if (new Date(user.passwordReset.expiresAt) <= new Date()) {
+      throw new Error("This reset link has expired. Ask for a new one.");
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) throw new Error(passwordError);
+    // The link was mailed to their current address, which proves it is theirs
+    saveUser(user.uid, { ...await newPasswordFields(user, password), passwordReset: null, emailVerified: true });
+    // Ends the session in this tab too if it was theirs; other tabs follow through storage events
+    await restoreSession();
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    await verifyPassword(currentPassword);
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) throw new Error(passwordError);
+    const user = readStoredList(LS_USERS).find(u => u.uid === currentUser.uid);
+    const changes = { ...await newPasswordFields(user, newPassword), passwordReset: null };
+    saveUser(user.uid, changes);
+    // Other sessions end; this one carries on under a new token
+    await startSession({ ...user, ...changes });
+    await sendMail(user, user.email, 'passwordChanged').catch(err => console.error("Error sending email: ", err));
+  };
+
+  // The address only changes once the link mailed to it is followed. The old
+  // address is told, in case someone else is behind the change.
+  const changeEmail = async (password, newEmail) => {
+    await verifyPassword(password);
+    const email = newEmail.trim();
+    const stored = readStoredList(LS_USERS);
+    const user = stored.find(u => u.uid === currentUser.uid);
+    if (!email) throw new Error("Email cannot be empty");
+    if (email === user.email) throw new Error("That is already your email address");
+    if (stored.some(u => u.email === email)) throw new Error("That email address is already used by another account");
+    await sendVerification(user, email);
+    await sendMail(user, user.email, 'emailChanging', { email }).catch(err => console.error("Error sending email: ", err));
+  };
+
+  // --- Roles and suspensions ---
+  // Checked against the stored user, in case another tab changed the actor's role
+  const authorizeStored = (action, resource) => {
+    const actor = currentUser && readStoredList(LS_USERS).find(u => u.uid === currentUser.uid);
+    authorize(actor, action, resource);
+    return actor;
+  };
+
+  const findStoredUser = (uid) => {
+    const user = readStoredList(LS_USERS).find(u => u.uid === uid);
+    if (!user) throw new Error("User not found");
+    return user;
+  };
+
+  const updateUser = (uid, changes) => {
+    if (!readStoredList(LS_USERS).some(u => u.uid === uid)) throw new Error("User not found");
+    setUsers(updateStoredList(LS_USERS, list => list.map(u => u.uid === uid ? { ...u, ...changes } : u)));
+  };
+
+  const setUserRole = (uid, role) => {
+    const target = findStoredUser(uid);
+    authorizeStored('user.setRole', target);
+    if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+    if (role !== 'admin' && isLastAdmin(target, readStoredList(LS_USERS))) {
+      throw new Error("There must always be at least one admin");
+    }
+    updateUser(uid, { role });
+  };
+
+  const suspendUser = (uid, reason) => {
+    const actor = authorizeStored('user.suspend', findStoredUser(uid));
+    updateUser(uid, { suspension: { reason: (reason || '').trim(), by: actor.uid, at: new Date().toISOString() } });
+  };
+
+  const unsuspendUser = (uid) => {
+    authorizeStored('user.suspend', findStoredUser(uid));
+    updateUser(uid, { suspension: null });
+  };
+
+  // --- Follow graph ---
+  const isFollowing = (uid) =>
+    !!currentUser && follows.some(f => f.followerId === currentUser.uid && f.followeeId === uid);
+
+  const follow = (uid) => {
+    if (!currentUser) throw new Error("You must be logged in to follow users");
+    if (uid === currentUser.uid) throw new Error("You cannot follow yourself");
+    if (isFollowing(uid)) return;
+    setFollows(updateStoredList(LS_FOLLOWS, list => [
+      ...list,
+      { followerId: currentUser.uid, followeeId: uid, createdAt: new Date().toISOString() },
+    ]));
+  };
+
+  const unfollow = (uid) => {
+    if (!currentUser) return;
+    setFollows(updateStoredList(LS_FOLLOWS, list => list.filter(f => !(f.followerId === currentUser.uid && f.followeeId === uid))));
+  };
+
+  // uids of the users following / followed by the given user
+  const getFollowers = (uid) => follows.filter(f => f.followeeId === uid).map(f => f.followerId);
+  const getFollowing = (uid) => follows.filter(f => f.followerId === uid).map(f => f.followeeId);
+
+  // --- Account data ---
+  // Asks for the password again before anything irreversible
+  const verifyPassword = async (password) => {
+    const user = currentUser && readStoredList(LS_USERS).find(u => u.uid === currentUser.uid);
+    if (!user) throw new Error("You must be logged in");
+    const matches = user.passwordHash
+      ? await hashPassword(password, user.salt) === user.passwordHash
+      : user.password === password;
+    if (!matches) throw new Error("Incorrect password");
+  };
+
+  // Removes the logged-in user and their follows, then logs out. Their posts and
+  // comments are DatabaseProvider's to clean up first.
+  const deleteAccount = () => {
+    if (!currentUser) throw new Error("You must be logged in");
+    const { uid } = currentUser;
+    authorizeStored('user.erase', { target: findStoredUser(uid), users: readStoredList(LS_USERS) });
+    setUsers(updateStoredList(LS_USERS, list => list.filter(u => u.uid !== uid)));
+    setFollows(updateStoredList(LS_FOLLOWS, list => list.filter(f => f.followerId !== uid && f.followeeId !== uid)));
+    logout();
+  };
+
+  // Full user records, credentials included, for an admin backup
+  const exportUsers = () => {
+    authorizeStored('admin.access');
+    return readStoredList(LS_USERS);
+  };
+
+  // What importing these users would do: ids that are new, ids that already exist,
+  // and new ids whose email is already taken (those are always skipped)
+  const planUserImport = (records) => {
+    const stored = readStoredList(LS_USERS);
+    const plan = { added: [], conflicts: [], emailClashes: [] };
+    records.forEach(record => {
+      if (stored.some(u => u.uid === record.uid)) plan.conflicts.push(record);
+      else if (stored.some(u => u.email === record.email)) plan.emailClashes.push(record);
+      else plan.added.push(record);
+    });
+    return plan;
+  };
+
+  // `mode` is 'skip' to keep existing users or 'overwrite' to replace them
+  const importUsers = (records, mode) => {
+    const actor = authorizeStored('admin.access');
+    const plan = planUserImport(records);
+    // Never overwrite yourself, which could take away your own admin role
+    const replacing = mode === 'overwrite' ? plan.conflicts.filter(u => u.uid !== actor.uid) : [];
+    setUsers(updateStoredList(LS_USERS, list => [
+      ...list.map(u => replacing.find(r => r.uid === u.uid) || u),
+      ...plan.added,
+    ]));
+    return { added: plan.added.length, replaced: replacing.length };
+  };
+
+  const publicUsers = useMemo(() => users.map(toPublicUser), [users]);
+
   const authValue = {
     currentUser,
+    authLoading,
+    users: publicUsers,
+    getUser,
+    getUserEmail,
+    updateProfile,
+    updatePreferences,
+    resendVerification,
+    verifyEmail,
+    requestPasswordReset,
+    resetPassword,
+    changePassword,
+    changeEmail,
+    // The local mailer's outbox; null when mail really goes out, and for the
+    // default mailer in production
+    mailbox: mailer.list && (!IS_PRODUCTION || mailer !== defaultMailer) ? mailer : null,
+    isFollowing,
+    follow,
+    unfollow,
+    getFollowers,
+    getFollowing,
+    setUserRole,
+    suspendUser,
+    unsuspendUser,
+    verifyPassword,
+    deleteAccount,
+    exportUsers,
+    planUserImport,
+    importUsers,
     login,
     signup,
     logout,
@@ -82,254 +948,6112 @@ const AuthProvider = ({ children }) => {
   return <AuthContext.Provider value={authValue}>{children}</AuthContext.Provider>;
 };
 
-// --- Mock Database Context ---
-const DatabaseContext = createContext();
+// --- Localisation ---
+// UI strings live in TRANSLATIONS, one catalog per locale, and are looked up by
+// key with translate(). "{name}" in a string is filled from the params; a value
+// may be a React element, e.g. a link. Strings that depend on a number are
+// objects keyed by Intl.PluralRules category ('zero', 'one', 'two', 'few',
+// 'many', 'other') and pick their form from `params.count`. Keys missing from a
+// locale fall back to English.
+const DEFAULT_LOCALE = 'en';
 
-const useDatabase = () => useContext(DatabaseContext);
+const LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' },
+};
 
-const DatabaseProvider = ({ children }) => {
-  const [posts, setPosts] = useState(() => JSON.parse(localStorage.getItem(LS_POSTS) || '[]'));
-  const [comments, setComments] = useState(() => JSON.parse(localStorage.getItem(LS_COMMENTS) || '[]'));
+const TRANSLATIONS = {
+  en: {
+    'app.name': 'Social Media App',
+    'common.cancel': 'Cancel',
+    'common.saving': 'Saving...',
+    'common.loadingPost': 'Loading post...',
+    'common.postNotFound': 'Post not found.',
+    'common.byline': 'By {author} · {time}',
+    'common.edited': '(edited)',
 
-  // Sync posts and comments to storage
-  useEffect(() => {
-    localStorage.setItem(LS_POSTS, JSON.stringify(posts));
-  }, [posts]);
+    'nav.search': 'Search',
+    'nav.searchPlaceholder': 'Search...',
+    'nav.feed': 'Feed',
+    'nav.messages': 'Messages',
+    'nav.messagesUnread': 'Messages ({count} unread)',
+    'nav.notifications': 'Notifications',
+    'nav.notificationsUnread': 'Notifications ({count} unread)',
+    'nav.saved': 'Saved posts',
+    'nav.moderation': 'Moderation',
+    'nav.admin': 'Admin',
+    'nav.greeting': 'Hi, {name}',
+    'nav.defaultName': 'User',
+    'nav.logout': 'Logout',
+    'nav.login': 'Login',
+    'nav.signup': 'Sign Up',
+    'sync.waiting': { one: '{count} change waiting to send', other: '{count} changes waiting to send' },
+    'sync.syncing': 'Syncing...',
+    'sync.problem': 'Sync problem',
+    'sync.offline': 'Offline',
 
-  useEffect(() => {
-    localStorage.setItem(LS_COMMENTS, JSON.stringify(comments));
-  }, [comments]);
+    'login.title': 'Login',
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.submit': 'Login',
+    'login.noAccount': 'No account yet? {link}',
+    'login.signupLink': 'Sign up',
+    'login.forgot': 'Forgot password?',
+    'common.newPassword': 'New password (min. {count} chars, letters and numbers)',
+    'common.confirmPassword': 'Repeat the new password',
+    'common.passwordMismatch': "The passwords don't match.",
+    'forgot.title': 'Reset your password',
+    'forgot.intro': "Enter your account's email address and we'll send you a link to choose a new password.",
+    'forgot.submit': 'Send reset link',
+    'forgot.sending': 'Sending...',
+    'forgot.sent': {
+      one: 'If an account uses {email}, a reset link is on its way. It works once and expires in {count} minute.',
+      other: 'If an account uses {email}, a reset link is on its way. It works once and expires in {count} minutes.',
+    },
+    'forgot.back': 'Back to login',
+    'reset.title': 'Choose a new password',
+    'reset.submit': 'Change password',
+    'reset.done': 'Your password has been changed.',
+    'reset.login': 'Log in',
+    'reset.missingToken': 'This reset link is incomplete.',
+    'reset.requestNew': 'Ask for a new one',
+    'verify.title': 'Email verification',
+    'verify.checking': 'Checking your link...',
+    'verify.done': '{email} is verified. Thanks!',
+    'verify.missingToken': 'This verification link is incomplete.',
+    'verify.continue': 'Continue',
+    'verifyNotice.text': 'Please verify your email address. We sent a link to {email}.',
+    'verifyNotice.resend': 'Send it again',
+    'verifyNotice.sent': 'Sent! Check your inbox.',
+    'verifyNotice.resendFailed': 'Failed to send the email.',
+    'mailbox.open': 'Open the local mail outbox',
+    'account.title': 'Email and Password',
+    'account.email': 'Email address',
+    'account.unverified': 'not verified',
+    'account.pending': 'Waiting for you to confirm {email}. Follow the link we sent there.',
+    'account.newEmail': 'New email address',
+    'account.currentPassword': 'Current password',
+    'account.changeEmail': 'Change email',
+    'account.emailSent': 'We sent a confirmation link to {email}. Your address changes once you follow it.',
+    'account.changePassword': 'Change password',
+    'account.passwordChanged': 'Your password has been changed.',
+    'data.title': 'Your Data',
+    'data.download': 'Download my data',
+    'data.exportFailed': 'Failed to export your data.',
+    'data.deleteAccount': 'Delete account',
+    'data.deleteMode': 'What should happen to your posts and comments?',
+    'data.anonymise': 'Keep them, shown as written by "{name}"',
+    'data.deleteContent': 'Delete them, along with the comments on my posts',
+    'data.password': 'Confirm your password',
+    'data.confirmDelete': "Delete your account for good? This can't be undone.",
+    'data.deleting': 'Deleting...',
+    'data.deleteMine': 'Delete my account',
+    'mail.verify.subject': 'Confirm your email address',
+    'mail.verify.body': "Hi {name},\n\nPlease confirm this email address for your account by opening this link:\n\n{link}\n\nThe link expires in {hours} hours. If you didn't ask for this, you can ignore this email.",
+    'mail.reset.subject': 'Reset your password',
+    'mail.reset.body': "Hi {name},\n\nSomeone asked to reset the password of your account. To choose a new one, open this link:\n\n{link}\n\nIt works once and expires in {minutes} minutes. If it wasn't you, ignore this email and your password stays the same.",
+    'mail.passwordChanged.subject': 'Your password was changed',
+    'mail.passwordChanged.body': "Hi {name},\n\nThe password of your account was just changed. If this wasn't you, reset it with the \"Forgot password?\" link on the login page.",
+    'mail.emailChanging.subject': 'Your email address is being changed',
+    'mail.emailChanging.body': "Hi {name},\n\nSomeone asked to change the email address of your account to {email}. It changes once the link sent there is followed. If this wasn't you, change your password now.",
 
-  const db = {
-    // Posts
-    posts: posts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
-    addPost: (post) => {
-      const newPost = { 
-        ...post, 
-        id: generateId(), 
-        createdAt: new Date().toISOString(),
-        likes: [] // Add likes array
-      };
-      setPosts(prev => [...prev, newPost]);
-      return newPost;
+    'signup.title': 'Sign Up',
+    'signup.displayName': 'Display Name',
+    'signup.email': 'Email',
+    'signup.password': 'Password (min. {count} chars, letters and numbers)',
+    'signup.submit': 'Sign Up',
+    'signup.haveAccount': 'Already have an account? {link}',
+    'signup.loginLink': 'Login',
+
+    'feed.title': 'Main Feed',
+    'feed.createPost': 'Create Post',
+    'feed.everyone': 'Everyone',
+    'feed.following': 'Following',
+    'feed.newPosts': { one: '{count} new post', other: '{count} new posts' },
+    'feed.loading': 'Loading posts...',
+    'feed.emptyTag': 'No posts tagged #{tag} yet.',
+    'feed.notFollowing': "You aren't following anyone yet.",
+    'feed.emptyFollowing': 'No posts from people you follow yet.',
+    'feed.empty': 'No posts yet. Be the first to write one!',
+    'feed.readMore': 'Read More & Comment',
+    'feed.loadMore': 'Load more',
+    'trending.title': 'Trending',
+    'trending.empty': 'Nothing trending this week.',
+    'trending.postCount': { one: '{count} post', other: '{count} posts' },
+
+    'post.confirmDelete': 'Are you sure you want to delete this post?',
+    'post.deleteFailed': 'Failed to delete post.',
+    'post.hiddenNotice': 'This post was hidden by a moderator. Only its author and moderators can see it.',
+    'post.editedLink': 'edited',
+    'post.lastEdited': 'Last edited {time}',
+    'post.queuedNotice': "Your latest changes haven't reached the server yet. They'll be sent when you're back online.",
+    'post.scheduledNotice': 'Scheduled for {time}. Only you can see this post until then.',
+    'post.edit': 'Edit Post',
+    'post.delete': 'Delete Post',
+    'post.hide': 'Hide Post',
+    'post.unhide': 'Unhide Post',
+
+    'comments.title': 'Comments',
+    'comments.placeholder': 'Write a comment...',
+    'comments.submit': 'Post',
+    'comments.loginPrompt': 'Please log in to comment.',
+    'comments.loading': 'Loading comments...',
+    'comments.empty': 'No comments yet.',
+    'comments.loadFailed': 'Failed to load comments.',
+    'comments.addFailed': 'Failed to post comment.',
+    'comment.deleted': '[This comment was deleted]',
+    'comment.hidden': '[This comment was hidden by a moderator]',
+    'comment.notSent': 'Not sent yet',
+    'comment.hiddenNotice': 'Hidden by a moderator. Only you and moderators can see it.',
+    'comment.reply': 'Reply',
+    'comment.replyTo': 'Reply to {name}...',
+    'comment.edit': 'Edit',
+    'comment.save': 'Save',
+    'comment.delete': 'Delete',
+    'comment.hide': 'Hide',
+    'comment.unhide': 'Unhide',
+    'comment.showReplies': { one: 'Show {count} reply', other: 'Show {count} replies' },
+    'comment.hideReplies': 'Hide replies',
+    'comment.confirmDelete': 'Are you sure you want to delete this comment?',
+    'comment.replyFailed': 'Failed to post reply.',
+    'comment.editFailed': 'Failed to edit comment.',
+    'comment.deleteFailed': 'Failed to delete comment.',
+    'reaction.like': 'Like',
+    'reaction.love': 'Love',
+    'reaction.laugh': 'Haha',
+    'reaction.wow': 'Wow',
+    'reaction.sad': 'Sad',
+    'reaction.count': { one: '{count} reaction', other: '{count} reactions' },
+    'reaction.listLabel': 'Reactions',
+    'reaction.all': 'All',
+    'reaction.close': 'Close',
+    'bookmark.add': 'Save post',
+    'bookmark.remove': 'Remove from saved posts',
+    'bookmark.failed': 'Failed to update your saved posts.',
+    'saved.title': 'Saved',
+    'saved.all': 'All',
+    'saved.unsorted': 'Unsorted',
+    'saved.newCollection': 'New collection name',
+    'saved.create': 'Create collection',
+    'saved.rename': 'Rename',
+    'saved.saveName': 'Save name',
+    'saved.deleteCollection': 'Delete collection',
+    'saved.confirmDelete': 'Delete the collection "{name}"? The posts in it stay saved.',
+    'saved.public': 'Show on my profile',
+    'saved.publicNotice': 'Anyone can see this collection on your profile.',
+    'saved.privateNotice': 'Only you can see this collection.',
+    'saved.empty': 'Nothing saved yet. Use 🔖 on a post to keep it for later.',
+    'saved.emptyCollection': 'No posts here yet.',
+    'saved.postRemoved': 'Post removed',
+    'saved.savedAt': 'Saved {time}',
+    'saved.moveTo': 'Collection',
+    'saved.remove': 'Remove',
+    'saved.postCount': { one: '{count} post', other: '{count} posts' },
+    'reaction.failed': 'Failed to update reaction.',
+    'reaction.notSent': 'You can react once this has been sent.',
+    'report.open': 'Report',
+    'report.thanks': 'Reported, thanks',
+    'report.reason': 'Reason',
+    'report.reason.spam': 'Spam',
+    'report.reason.harassment': 'Harassment or bullying',
+    'report.reason.hate': 'Hate speech',
+    'report.reason.misinformation': 'Misinformation',
+    'report.reason.inappropriate': 'Inappropriate content',
+    'report.reason.other': 'Something else',
+    'report.details': 'Anything moderators should know? (Optional)',
+    'report.send': 'Send report',
+
+    'editor.newTitle': 'Create New Post',
+    'editor.editTitle': 'Edit Post',
+    'editor.loadingDraft': 'Loading draft...',
+    'editor.draftSaved': 'Draft saved {time}',
+    'editor.discardDraft': 'Discard draft',
+    'editor.confirmDiscard': 'Discard this draft? Your unsaved changes will be lost.',
+    'editor.discardFailed': 'Failed to discard draft.',
+    'editor.emptyContent': 'Post content cannot be empty.',
+    'editor.pastPublishTime': 'The publish time must be in the future.',
+    'editor.saveFailed': 'Failed to save post.',
+    'editor.titlePlaceholder': 'Post Title',
+    'editor.write': 'Write',
+    'editor.preview': 'Preview',
+    'editor.nothingToPreview': 'Nothing to preview yet.',
+    'editor.contentPlaceholder': 'Write your post content here... (Markdown supported)',
+    'editor.tagsPlaceholder': 'Tags, separated by commas (up to {count})',
+    'editor.hashtags': 'Also tagged from your #hashtags: {tags}',
+    'editor.publishAt': 'Publish at',
+    'editor.publishNow': 'Publish now instead',
+    'editor.publishNowHint': 'Leave empty to publish now',
+    'editor.publish': 'Publish Post',
+    'editor.schedule': 'Schedule Post',
+    'editor.update': 'Update Post',
+    'editor.updateScheduled': 'Update Scheduled Post',
+    'drafts.title': 'My Drafts',
+    'drafts.untitled': 'Untitled',
+    'drafts.changesTo': 'Unsaved changes to "{title}"',
+    'drafts.newPost': 'New post',
+    'drafts.saved': 'saved {time}',
+    'drafts.discard': 'Discard',
+    'drafts.confirmDiscard': 'Discard this draft?',
+    'drafts.loadFailed': 'Failed to load your drafts.',
+    'images.tooMany': { one: 'A post can have at most {count} image.', other: 'A post can have at most {count} images.' },
+    'images.uploading': { one: 'Uploading {count} image...', other: 'Uploading {count} images...' },
+    'images.dropzone': 'Drop images here, paste them, or click to choose (up to {count})',
+    'images.altPlaceholder': 'Describe this image (alt text)',
+    'images.altLabel': 'Alt text',
+    'images.remove': 'Remove',
+    'images.unavailable': 'Image unavailable',
+    'images.loading': 'Loading image',
+    'images.show': 'Show image {number} of {total}',
+
+    'profile.notFound': 'User not found.',
+    'profile.suspended': 'Suspended',
+    'profile.joined': 'Joined {date}',
+    'profile.earlyMember': 'Early member',
+    'profile.edit': 'Edit Profile',
+    'profile.postCount': { one: '{number} Post', other: '{number} Posts' },
+    'profile.reactionsReceived': { one: '{number} Reaction received', other: '{number} Reactions received' },
+    'profile.followerCount': { one: '{number} Follower', other: '{number} Followers' },
+    'profile.followingCount': '{number} Following',
+    'profile.followers': 'Followers',
+    'profile.following': 'Following',
+    'profile.noFollowers': 'No followers yet.',
+    'profile.notFollowing': 'Not following anyone yet.',
+    'profile.myPosts': 'My Posts',
+    'profile.posts': 'Posts',
+    'profile.noOwnPosts': "You haven't written any posts yet.",
+    'profile.noPosts': 'No posts yet.',
+    'profile.reactionCount': { one: '{count} Reaction', other: '{count} Reactions' },
+    'profile.scheduledFor': 'Scheduled for {time}',
+    'profile.previous': 'Previous',
+    'profile.next': 'Next',
+    'profile.page': 'Page {page} of {pages}',
+    'profile.displayName': 'Display Name',
+    'profile.avatarUrl': 'Avatar URL (Optional)',
+    'profile.bio': 'Tell people about yourself...',
+    'profile.language': 'Language',
+    'profile.timeZone': 'Time zone',
+    'profile.automatic': 'Automatic ({value})',
+    'profile.save': 'Save Profile',
+    'profile.follow': 'Follow',
+    'profile.unfollow': 'Unfollow',
+    'profile.message': 'Message',
+    'profile.block': 'Block',
+    'profile.unblock': 'Unblock',
+    'profile.confirmBlock': "Block {name}? They won't be able to message you.",
+    'profile.blockFailed': 'Failed to block.',
+    'profile.unblockFailed': 'Failed to unblock.',
+    'profile.collections': 'Collections',
+    'role.user': 'User',
+    'role.moderator': 'Moderator',
+    'role.admin': 'Admin',
+  },
+  ar: {
+    'app.name': 'تطبيق التواصل',
+    'common.cancel': 'إلغاء',
+    'common.saving': 'جارٍ الحفظ...',
+    'common.loadingPost': 'جارٍ تحميل المنشور...',
+    'common.postNotFound': 'المنشور غير موجود.',
+    'common.byline': 'بقلم {author} · {time}',
+    'common.edited': '(معدَّل)',
+
+    'nav.search': 'بحث',
+    'nav.searchPlaceholder': 'ابحث...',
+    'nav.feed': 'الرئيسية',
+    'nav.messages': 'الرسائل',
+    'nav.messagesUnread': 'الرسائل ({count} غير مقروءة)',
+    'nav.notifications': 'الإشعارات',
+    'nav.notificationsUnread': 'الإشعارات ({count} غير مقروءة)',
+    'nav.saved': 'المنشورات المحفوظة',
+    'nav.moderation': 'الإشراف',
+    'nav.admin': 'الإدارة',
+    'nav.greeting': 'مرحبًا، {name}',
+    'nav.defaultName': 'مستخدم',
+    'nav.logout': 'تسجيل الخروج',
+    'nav.login': 'تسجيل الدخول',
+    'nav.signup': 'إنشاء حساب',
+    'sync.waiting': {
+      zero: 'لا توجد تغييرات بانتظار الإرسال',
+      one: 'تغيير واحد بانتظار الإرسال',
+      two: 'تغييران بانتظار الإرسال',
+      few: '{count} تغييرات بانتظار الإرسال',
+      many: '{count} تغييرًا بانتظار الإرسال',
+      other: '{count} تغيير بانتظار الإرسال',
     },
-    updatePost: (updatedPost) => {
-      setPosts(prev => prev.map(p => p.id === updatedPost.id ? { ...p, ...updatedPost } : p));
+    'sync.syncing': 'جارٍ المزامنة...',
+    'sync.problem': 'مشكلة في المزامنة',
+    'sync.offline': 'غير متصل',
+
+    'login.title': 'تسجيل الدخول',
+    'login.email': 'البريد الإلكتروني',
+    'login.password': 'كلمة المرور',
+    'login.submit': 'دخول',
+    'login.noAccount': 'ليس لديك حساب؟ {link}',
+    'login.signupLink': 'أنشئ حسابًا',
+    'login.forgot': 'نسيت كلمة المرور؟',
+    'common.newPassword': 'كلمة المرور الجديدة ({count} أحرف على الأقل، حروف وأرقام)',
+    'common.confirmPassword': 'أعد كتابة كلمة المرور الجديدة',
+    'common.passwordMismatch': 'كلمتا المرور غير متطابقتين.',
+    'forgot.title': 'إعادة تعيين كلمة المرور',
+    'forgot.intro': 'أدخل البريد الإلكتروني لحسابك وسنرسل إليك رابطًا لاختيار كلمة مرور جديدة.',
+    'forgot.submit': 'أرسل رابط إعادة التعيين',
+    'forgot.sending': 'جارٍ الإرسال...',
+    'forgot.sent': {
+      one: 'إذا كان هناك حساب يستخدم {email} فقد أُرسل إليه رابط إعادة التعيين. يعمل الرابط مرة واحدة وتنتهي صلاحيته بعد دقيقة.',
+      two: 'إذا كان هناك حساب يستخدم {email} فقد أُرسل إليه رابط إعادة التعيين. يعمل الرابط مرة واحدة وتنتهي صلاحيته بعد دقيقتين.',
+      few: 'إذا كان هناك حساب يستخدم {email} فقد أُرسل إليه رابط إعادة التعيين. يعمل الرابط مرة واحدة وتنتهي صلاحيته بعد {count} دقائق.',
+      other: 'إذا كان هناك حساب يستخدم {email} فقد أُرسل إليه رابط إعادة التعيين. يعمل الرابط مرة واحدة وتنتهي صلاحيته بعد {count} دقيقة.',
     },
-    deletePost: (postId) => {
-      setPosts(prev => prev.filter(p => p.id !== postId));
-      // Also delete related comments
-      setComments(prev => prev.filter(c => c.postId !== postId));
+    'forgot.back': 'العودة إلى تسجيل الدخول',
+    'reset.title': 'اختر كلمة مرور جديدة',
+    'reset.submit': 'تغيير كلمة المرور',
+    'reset.done': 'تم تغيير كلمة المرور.',
+    'reset.login': 'سجّل الدخول',
+    'reset.missingToken': 'رابط إعادة التعيين هذا غير مكتمل.',
+    'reset.requestNew': 'اطلب رابطًا جديدًا',
+    'verify.title': 'تأكيد البريد الإلكتروني',
+    'verify.checking': 'جارٍ التحقق من الرابط...',
+    'verify.done': 'تم تأكيد {email}. شكرًا!',
+    'verify.missingToken': 'رابط التأكيد هذا غير مكتمل.',
+    'verify.continue': 'متابعة',
+    'verifyNotice.text': 'يرجى تأكيد بريدك الإلكتروني. أرسلنا رابطًا إلى {email}.',
+    'verifyNotice.resend': 'أرسله مرة أخرى',
+    'verifyNotice.sent': 'تم الإرسال! تفقّد بريدك.',
+    'verifyNotice.resendFailed': 'تعذّر إرسال البريد.',
+    'mailbox.open': 'افتح صندوق البريد المحلي',
+    'account.title': 'البريد الإلكتروني وكلمة المرور',
+    'account.email': 'البريد الإلكتروني',
+    'account.unverified': 'غير مؤكَّد',
+    'account.pending': 'بانتظار تأكيد {email}. افتح الرابط الذي أرسلناه إليه.',
+    'account.newEmail': 'البريد الإلكتروني الجديد',
+    'account.currentPassword': 'كلمة المرور الحالية',
+    'account.changeEmail': 'تغيير البريد',
+    'account.emailSent': 'أرسلنا رابط تأكيد إلى {email}. يتغير بريدك بعد فتحه.',
+    'account.changePassword': 'تغيير كلمة المرور',
+    'account.passwordChanged': 'تم تغيير كلمة المرور.',
+    'data.title': 'بياناتك',
+    'data.download': 'تنزيل بياناتي',
+    'data.exportFailed': 'تعذّر تصدير بياناتك.',
+    'data.deleteAccount': 'حذف الحساب',
+    'data.deleteMode': 'ماذا تريد أن يحدث لمنشوراتك وتعليقاتك؟',
+    'data.anonymise': 'إبقاؤها، مع عرضها على أنها من "{name}"',
+    'data.deleteContent': 'حذفها، مع التعليقات على منشوراتي',
+    'data.password': 'أكّد كلمة المرور',
+    'data.confirmDelete': 'حذف حسابك نهائيًا؟ لا يمكن التراجع عن ذلك.',
+    'data.deleting': 'جارٍ الحذف...',
+    'data.deleteMine': 'حذف حسابي',
+    'mail.verify.subject': 'أكّد بريدك الإلكتروني',
+    'mail.verify.body': 'مرحبًا {name}،\n\nيرجى تأكيد هذا البريد الإلكتروني لحسابك بفتح هذا الرابط:\n\n{link}\n\nتنتهي صلاحية الرابط بعد {hours} ساعة. إذا لم تطلب ذلك فتجاهل هذه الرسالة.',
+    'mail.reset.subject': 'إعادة تعيين كلمة المرور',
+    'mail.reset.body': 'مرحبًا {name}،\n\nطلب أحدهم إعادة تعيين كلمة مرور حسابك. لاختيار كلمة مرور جديدة افتح هذا الرابط:\n\n{link}\n\nيعمل الرابط مرة واحدة وتنتهي صلاحيته بعد {minutes} دقيقة. إذا لم تكن أنت فتجاهل هذه الرسالة وستبقى كلمة المرور كما هي.',
+    'mail.passwordChanged.subject': 'تم تغيير كلمة المرور',
+    'mail.passwordChanged.body': 'مرحبًا {name}،\n\nتم للتو تغيير كلمة مرور حسابك. إذا لم تكن أنت فأعد تعيينها من رابط "نسيت كلمة المرور؟" في صفحة تسجيل الدخول.',
+    'mail.emailChanging.subject': 'يجري تغيير بريدك الإلكتروني',
+    'mail.emailChanging.body': 'مرحبًا {name}،\n\nطلب أحدهم تغيير البريد الإلكتروني لحسابك إلى {email}. سيتغير بعد فتح الرابط المرسل إليه. إذا لم تكن أنت فغيّر كلمة المرور الآن.',
+
+    'signup.title': 'إنشاء حساب',
+    'signup.displayName': 'الاسم المعروض',
+    'signup.email': 'البريد الإلكتروني',
+    'signup.password': 'كلمة المرور ({count} أحرف على الأقل، حروف وأرقام)',
+    'signup.submit': 'إنشاء الحساب',
+    'signup.haveAccount': 'لديك حساب بالفعل؟ {link}',
+    'signup.loginLink': 'سجّل الدخول',
+
+    'feed.title': 'آخر المنشورات',
+    'feed.createPost': 'منشور جديد',
+    'feed.everyone': 'الجميع',
+    'feed.following': 'من أتابعهم',
+    'feed.newPosts': {
+      one: 'منشور جديد واحد',
+      two: 'منشوران جديدان',
+      few: '{count} منشورات جديدة',
+      many: '{count} منشورًا جديدًا',
+      other: '{count} منشور جديد',
     },
-    toggleLike: (postId, userId) => {
-      setPosts(prevPosts =>
-        prevPosts.map(post => {
-          if (post.id === postId) {
-            const hasLiked = post.likes.includes(userId);
-            const newLikes = hasLiked
-              ? post.likes.filter(uid => uid !== userId) // Unlike
-              : [...post.likes, userId]; // Like
-            return { ...post, likes: newLikes };
-          }
-          return post;
-        })
-      );
+    'feed.loading': 'جارٍ تحميل المنشورات...',
+    'feed.emptyTag': 'لا توجد منشورات بالوسم #{tag} بعد.',
+    'feed.notFollowing': 'أنت لا تتابع أحدًا بعد.',
+    'feed.emptyFollowing': 'لا توجد منشورات ممن تتابعهم بعد.',
+    'feed.empty': 'لا توجد منشورات بعد. كن أول من يكتب!',
+    'feed.readMore': 'اقرأ المزيد وعلّق',
+    'feed.loadMore': 'تحميل المزيد',
+    'trending.title': 'الأكثر تداولًا',
+    'trending.empty': 'لا شيء متداول هذا الأسبوع.',
+    'trending.postCount': {
+      zero: 'لا منشورات',
+      one: 'منشور واحد',
+      two: 'منشوران',
+      few: '{count} منشورات',
+      many: '{count} منشورًا',
+      other: '{count} منشور',
     },
 
-    // Comments
-    getComments: (postId) => {
-      return comments
-        .filter(c => c.postId === postId)
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    'post.confirmDelete': 'هل أنت متأكد من حذف هذا المنشور؟',
+    'post.deleteFailed': 'تعذّر حذف المنشور.',
+    'post.hiddenNotice': 'أخفى أحد المشرفين هذا المنشور. لا يراه إلا كاتبه والمشرفون.',
+    'post.editedLink': 'معدَّل',
+    'post.lastEdited': 'آخر تعديل {time}',
+    'post.queuedNotice': 'لم تصل أحدث تغييراتك إلى الخادم بعد. ستُرسل عند عودة الاتصال.',
+    'post.scheduledNotice': 'مجدول للنشر في {time}. لا يراه أحد غيرك حتى ذلك الحين.',
+    'post.edit': 'تعديل المنشور',
+    'post.delete': 'حذف المنشور',
+    'post.hide': 'إخفاء المنشور',
+    'post.unhide': 'إظهار المنشور',
+
+    'comments.title': 'التعليقات',
+    'comments.placeholder': 'اكتب تعليقًا...',
+    'comments.submit': 'نشر',
+    'comments.loginPrompt': 'سجّل الدخول لتتمكن من التعليق.',
+    'comments.loading': 'جارٍ تحميل التعليقات...',
+    'comments.empty': 'لا توجد تعليقات بعد.',
+    'comments.loadFailed': 'تعذّر تحميل التعليقات.',
+    'comments.addFailed': 'تعذّر نشر التعليق.',
+    'comment.deleted': '[حُذف هذا التعليق]',
+    'comment.hidden': '[أخفى أحد المشرفين هذا التعليق]',
+    'comment.notSent': 'لم يُرسل بعد',
+    'comment.hiddenNotice': 'أخفاه أحد المشرفين. لا يراه إلا أنت والمشرفون.',
+    'comment.reply': 'رد',
+    'comment.replyTo': 'رد على {name}...',
+    'comment.edit': 'تعديل',
+    'comment.save': 'حفظ',
+    'comment.delete': 'حذف',
+    'comment.hide': 'إخفاء',
+    'comment.unhide': 'إظهار',
+    'comment.showReplies': {
+      one: 'عرض رد واحد',
+      two: 'عرض ردين',
+      few: 'عرض {count} ردود',
+      many: 'عرض {count} ردًا',
+      other: 'عرض {count} رد',
     },
-    addComment: (comment) => {
-      const newComment = { ...comment, id: generateId(), createdAt: new Date().toISOString() };
-      setComments(prev => [...prev, newComment]);
-    }
-  };
+    'comment.hideReplies': 'إخفاء الردود',
+    'comment.confirmDelete': 'هل أنت متأكد من حذف هذا التعليق؟',
+    'comment.replyFailed': 'تعذّر نشر الرد.',
+    'comment.editFailed': 'تعذّر تعديل التعليق.',
+    'comment.deleteFailed': 'تعذّر حذف التعليق.',
+    'reaction.like': 'إعجاب',
+    'reaction.love': 'حب',
+    'reaction.laugh': 'ضحك',
+    'reaction.wow': 'دهشة',
+    'reaction.sad': 'حزن',
+    'reaction.count': {
+      zero: 'لا تفاعلات',
+      one: 'تفاعل واحد',
+      two: 'تفاعلان',
+      few: '{count} تفاعلات',
+      many: '{count} تفاعلًا',
+      other: '{count} تفاعل',
+    },
+    'reaction.listLabel': 'التفاعلات',
+    'reaction.all': 'الكل',
+    'reaction.close': 'إغلاق',
+    'bookmark.add': 'حفظ المنشور',
+    'bookmark.remove': 'إزالة من المنشورات المحفوظة',
+    'bookmark.failed': 'تعذّر تحديث منشوراتك المحفوظة.',
+    'saved.title': 'المحفوظات',
+    'saved.all': 'الكل',
+    'saved.unsorted': 'غير مصنّفة',
+    'saved.newCollection': 'اسم المجموعة الجديدة',
+    'saved.create': 'إنشاء مجموعة',
+    'saved.rename': 'إعادة تسمية',
+    'saved.saveName': 'حفظ الاسم',
+    'saved.deleteCollection': 'حذف المجموعة',
+    'saved.confirmDelete': 'حذف المجموعة "{name}"؟ ستبقى منشوراتها محفوظة.',
+    'saved.public': 'عرض في ملفي الشخصي',
+    'saved.publicNotice': 'يمكن للجميع رؤية هذه المجموعة في ملفك الشخصي.',
+    'saved.privateNotice': 'أنت وحدك من يرى هذه المجموعة.',
+    'saved.empty': 'لا شيء محفوظ بعد. استخدم 🔖 على أي منشور للاحتفاظ به لوقت لاحق.',
+    'saved.emptyCollection': 'لا توجد منشورات هنا بعد.',
+    'saved.postRemoved': 'تمت إزالة المنشور',
+    'saved.savedAt': 'حُفظ {time}',
+    'saved.moveTo': 'المجموعة',
+    'saved.remove': 'إزالة',
+    'saved.postCount': {
+      zero: 'لا منشورات',
+      one: 'منشور واحد',
+      two: 'منشوران',
+      few: '{count} منشورات',
+      many: '{count} منشورًا',
+      other: '{count} منشور',
+    },
+    'reaction.failed': 'تعذّر تحديث التفاعل.',
+    'reaction.notSent': 'يمكنك التفاعل بعد إرسال هذا.',
+    'report.open': 'إبلاغ',
+    'report.thanks': 'تم الإبلاغ، شكرًا',
+    'report.reason': 'السبب',
+    'report.reason.spam': 'رسائل مزعجة',
+    'report.reason.harassment': 'تحرش أو تنمّر',
+    'report.reason.hate': 'خطاب كراهية',
+    'report.reason.misinformation': 'معلومات مضللة',
+    'report.reason.inappropriate': 'محتوى غير لائق',
+    'report.reason.other': 'سبب آخر',
+    'report.details': 'هل هناك ما يجب أن يعرفه المشرفون؟ (اختياري)',
+    'report.send': 'إرسال البلاغ',
 
-  return <DatabaseContext.Provider value={db}>{children}</DatabaseContext.Provider>;
+    'editor.newTitle': 'إنشاء منشور جديد',
+    'editor.editTitle': 'تعديل المنشور',
+    'editor.loadingDraft': 'جارٍ تحميل المسودة...',
+    'editor.draftSaved': 'حُفظت المسودة {time}',
+    'editor.discardDraft': 'تجاهل المسودة',
+    'editor.confirmDiscard': 'تجاهل هذه المسودة؟ ستفقد التغييرات غير المحفوظة.',
+    'editor.discardFailed': 'تعذّر تجاهل المسودة.',
+    'editor.emptyContent': 'لا يمكن أن يكون محتوى المنشور فارغًا.',
+    'editor.pastPublishTime': 'يجب أن يكون وقت النشر في المستقبل.',
+    'editor.saveFailed': 'تعذّر حفظ المنشور.',
+    'editor.titlePlaceholder': 'عنوان المنشور',
+    'editor.write': 'كتابة',
+    'editor.preview': 'معاينة',
+    'editor.nothingToPreview': 'لا يوجد ما يُعايَن بعد.',
+    'editor.contentPlaceholder': 'اكتب محتوى منشورك هنا... (يدعم Markdown)',
+    'editor.tagsPlaceholder': 'الوسوم، مفصولة بفواصل (حتى {count})',
+    'editor.hashtags': 'وسوم إضافية من #الوسوم في النص: {tags}',
+    'editor.publishAt': 'النشر في',
+    'editor.publishNow': 'انشر الآن بدلًا من ذلك',
+    'editor.publishNowHint': 'اتركه فارغًا للنشر الآن',
+    'editor.publish': 'نشر',
+    'editor.schedule': 'جدولة المنشور',
+    'editor.update': 'تحديث المنشور',
+    'editor.updateScheduled': 'تحديث المنشور المجدول',
+    'drafts.title': 'مسوداتي',
+    'drafts.untitled': 'بلا عنوان',
+    'drafts.changesTo': 'تغييرات غير محفوظة على "{title}"',
+    'drafts.newPost': 'منشور جديد',
+    'drafts.saved': 'حُفظت {time}',
+    'drafts.discard': 'تجاهل',
+    'drafts.confirmDiscard': 'تجاهل هذه المسودة؟',
+    'drafts.loadFailed': 'تعذّر تحميل مسوداتك.',
+    'images.tooMany': {
+      one: 'يمكن أن يحتوي المنشور على صورة واحدة كحد أقصى.',
+      two: 'يمكن أن يحتوي المنشور على صورتين كحد أقصى.',
+      few: 'يمكن أن يحتوي المنشور على {count} صور كحد أقصى.',
+      many: 'يمكن أن يحتوي المنشور على {count} صورة كحد أقصى.',
+      other: 'يمكن أن يحتوي المنشور على {count} صورة كحد أقصى.',
+    },
+    'images.uploading': {
+      one: 'جارٍ رفع صورة واحدة...',
+      two: 'جارٍ رفع صورتين...',
+      few: 'جارٍ رفع {count} صور...',
+      many: 'جارٍ رفع {count} صورة...',
+      other: 'جارٍ رفع {count} صورة...',
+    },
+    'images.dropzone': 'أفلت الصور هنا أو الصقها أو انقر للاختيار (حتى {count})',
+    'images.altPlaceholder': 'صف هذه الصورة (نص بديل)',
+    'images.altLabel': 'النص البديل',
+    'images.remove': 'إزالة',
+    'images.unavailable': 'الصورة غير متاحة',
+    'images.loading': 'جارٍ تحميل الصورة',
+    'images.show': 'عرض الصورة {number} من {total}',
+
+    'profile.notFound': 'المستخدم غير موجود.',
+    'profile.suspended': 'موقوف',
+    'profile.joined': 'انضم في {date}',
+    'profile.earlyMember': 'عضو قديم',
+    'profile.edit': 'تعديل الملف الشخصي',
+    'profile.postCount': { few: '{number} منشورات', many: '{number} منشورًا', other: '{number} منشور' },
+    'profile.reactionsReceived': { few: 'تلقى {number} تفاعلات', many: 'تلقى {number} تفاعلًا', other: 'تلقى {number} تفاعل' },
+    'profile.followerCount': { few: '{number} متابِعين', many: '{number} متابِعًا', other: '{number} متابِع' },
+    'profile.followingCount': 'يتابع {number}',
+    'profile.followers': 'المتابِعون',
+    'profile.following': 'يتابع',
+    'profile.noFollowers': 'لا يوجد متابِعون بعد.',
+    'profile.notFollowing': 'لا يتابع أحدًا بعد.',
+    'profile.myPosts': 'منشوراتي',
+    'profile.posts': 'المنشورات',
+    'profile.noOwnPosts': 'لم تكتب أي منشور بعد.',
+    'profile.noPosts': 'لا توجد منشورات بعد.',
+    'profile.reactionCount': { zero: 'لا تفاعلات', one: 'تفاعل واحد', two: 'تفاعلان', few: '{count} تفاعلات', many: '{count} تفاعلًا', other: '{count} تفاعل' },
+    'profile.scheduledFor': 'مجدول للنشر {time}',
+    'profile.previous': 'السابق',
+    'profile.next': 'التالي',
+    'profile.page': 'صفحة {page} من {pages}',
+    'profile.displayName': 'الاسم المعروض',
+    'profile.avatarUrl': 'رابط الصورة الشخصية (اختياري)',
+    'profile.bio': 'عرّف الناس بنفسك...',
+    'profile.language': 'اللغة',
+    'profile.timeZone': 'المنطقة الزمنية',
+    'profile.automatic': 'تلقائي ({value})',
+    'profile.save': 'حفظ الملف الشخصي',
+    'profile.follow': 'متابعة',
+    'profile.unfollow': 'إلغاء المتابعة',
+    'profile.message': 'مراسلة',
+    'profile.block': 'حظر',
+    'profile.unblock': 'إلغاء الحظر',
+    'profile.confirmBlock': 'حظر {name}؟ لن يتمكن من مراسلتك.',
+    'profile.blockFailed': 'تعذّر الحظر.',
+    'profile.unblockFailed': 'تعذّر إلغاء الحظر.',
+    'profile.collections': 'المجموعات',
+    'role.user': 'مستخدم',
+    'role.moderator': 'مشرف',
+    'role.admin': 'مدير',
+  },
 };
 
-// --- Sub-Components ---
+const pluralRulesByLocale = {};
+
+const pluralCategory = (locale, count) => {
+  if (!pluralRulesByLocale[locale]) pluralRulesByLocale[locale] = new Intl.PluralRules(locale);
+  return pluralRulesByLocale[locale].select(count);
+};
+
+// Fills "{name}" placeholders. Returns a string unless a value is a React element.
+const interpolate = (template, params, locale) => {
+  const parts = template.split(/\{(\w+)\}/).map((part, i) => {
+    if (i % 2 === 0) return part;
+    const value = params[part];
+    if (value === undefined) return `{${part}}`;
+    return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : value;
+  });
+  if (parts.every(part => typeof part === 'string')) return parts.join('');
+  return parts.map((part, i) => <React.Fragment key={i}>{part}</React.Fragment>);
+};
+
+const translate = (locale, key, params = {}) => {
+  const catalog = TRANSLATIONS[locale] || TRANSLATIONS[DEFAULT_LOCALE];
+  let entry = catalog[key] !== undefined ? catalog[key] : TRANSLATIONS[DEFAULT_LOCALE][key];
+  if (entry === undefined) return key;
+  if (typeof entry === 'object') entry = entry[pluralCategory(locale, params.count)] || entry.other;
+  return interpolate(entry, params, locale);
+};
+
+// The first of the browser's languages that we ship, or English
+const detectLocale = () => {
+  const languages = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+  const match = languages.map(lang => (lang || '').split('-')[0]).find(lang => LOCALES[lang]);
+  return match || DEFAULT_LOCALE;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const listTimeZones = () =>
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimeZone(), 'UTC'];
+
+// Relative times all tick off one shared timer, started while any are on screen
+const RELATIVE_TIME_REFRESH_MS = 30 * 1000;
+const clockListeners = new Set();
+let clockTimer = null;
+
+const useNow = () => {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const listener = () => setNow(new Date());
+    clockListeners.add(listener);
+    if (!clockTimer) clockTimer = setInterval(() => clockListeners.forEach(l => l()), RELATIVE_TIME_REFRESH_MS);
+    return () => {
+      clockListeners.delete(listener);
+      if (clockListeners.size === 0) {
+        clearInterval(clockTimer);
+        clockTimer = null;
+      }
+    };
+  }, []);
+  return now;
+};
+
+const LocaleContext = createContext();
+
+const useLocale = () => useContext(LocaleContext);
 
 /**
- * Navigation Bar Component
+ * Formats text, numbers and times in the current user's language and time zone,
+ * or the browser's when logged out, and sets the page's language and direction.
  */
-const Navigation = ({ setCurrentPage }) => {
-  const { currentUser, logout } = useAuth();
+const LocaleProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const locale = (currentUser && LOCALES[currentUser.language]) ? currentUser.language : detectLocale();
+  const timeZone = (currentUser && currentUser.timeZone) || undefined;
+  const { dir } = LOCALES[locale];
 
-  return (
-    <nav className="bg-gray-800 shadow-md">
-      <div className="container mx-auto px-4 py-4 flex justify-between items-center">
-        <div className="text-2xl font-bold text-white cursor-pointer" onClick={() => setCurrentPage('home')}>
-          Social Media App
-        </div>
-        <div className="flex items-center space-x-4">
-          <span className="text-gray-300 hover:text-white cursor-pointer" onClick={() => setCurrentPage('home')}>
-            Feed
-          </span>
-          {currentUser ? (
-            <>
-              <span className="text-gray-300 hover:text-white cursor-pointer" onClick={() => setCurrentPage('profile')}>
-                Hi, {currentUser.displayName || 'User'}
-              </span>
-              <button onClick={() => { logout(); setCurrentPage('home'); }} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold">
-                Logout
-              </button>
-            </>
-          ) : (
-            <>
-              <span className="text-gray-300 hover:text-white cursor-pointer" onClick={() => setCurrentPage('login')}>
-                Login
-              </span>
-              <span className="text-gray-300 hover:text-white cursor-pointer" onClick={() => setCurrentPage('signup')}>
-                Sign Up
-              </span>
-            </>
-          )}
-        </div>
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const value = useMemo(() => ({
+    locale,
+    timeZone,
+    dir,
+    t: (key, params) => translate(locale, key, params),
+    formatTimestamp: (isoString) => formatTimestamp(isoString, { locale, timeZone }),
+    formatDate: (isoString) => new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone }).format(new Date(isoString)),
+    formatNumber: (number) => new Intl.NumberFormat(locale).format(number),
+    formatRelativeTime: (isoString, now) => formatRelativeTime(isoString, now, locale),
+  }), [locale, timeZone, dir]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+// --- Storage Adapters ---
+// Every adapter exposes the same async interface over named collections:
+//   list(collection, query)          -> Promise<record[]>
+//   insert(collection, record)       -> Promise<record>
+//   update(collection, id, patch)    -> Promise<record>
+//   remove(collection, query)        -> Promise<void>
+//   subscribe(listener)              -> unsubscribe function (optional)
+// A query is a plain object of field/value pairs that a record must match.
+// subscribe calls listener(collection) when a collection is changed from
+// outside this page, e.g. by another browser tab.
+// A patch that carries a `version` is only applied if it is exactly one more
+// than the stored record's; otherwise update rejects it with a ConflictError.
+
+/**
+ * Thrown when a write was based on a copy of a record that has since been
+ * changed (`reason` 'edited', with the stored record as `current`) or
+ * deleted (`reason` 'deleted') elsewhere.
+ */
+class ConflictError extends Error {
+  constructor(reason, current = null) {
+    super(reason === 'deleted' ? "It was deleted elsewhere" : "It was changed elsewhere");
+    this.name = 'ConflictError';
+    this.reason = reason;
+    this.current = current;
+  }
+}
+
+// Records saved before version numbers existed count as version 1
+const versionOf = (record) => record.version || 1;
+
+const isStaleVersion = (existing, patch) => patch.version !== undefined && patch.version !== versionOf(existing) + 1;
+
+// Maps collection names to their localStorage keys
+const LS_COLLECTIONS = {
+  posts: LS_POSTS,
+  comments: LS_COMMENTS,
+  images: LS_IMAGES,
+  notifications: LS_NOTIFICATIONS,
+  drafts: LS_DRAFTS,
+  revisions: LS_REVISIONS,
+  reports: LS_REPORTS,
+  auditLog: LS_AUDIT_LOG,
+  messages: LS_MESSAGES,
+  blocks: LS_BLOCKS,
+  bookmarks: LS_BOOKMARKS,
+  bookmarkCollections: LS_BOOKMARK_COLLECTIONS,
+};
+
+const matchesQuery = (record, query = {}) =>
+  Object.entries(query).every(([field, value]) => record[field] === value);
+
+/**
+ * Stores collections in this browser's localStorage.
+ */
+const createLocalStorageAdapter = () => {
+  const read = (collection) => readStoredList(LS_COLLECTIONS[collection]);
+  const write = (collection, records) => localStorage.setItem(LS_COLLECTIONS[collection], JSON.stringify(records));
+
+  return {
+    list: async (collection, query) => read(collection).filter(r => matchesQuery(r, query)),
+    insert: async (collection, record) => {
+      write(collection, [...read(collection), record]);
+      return record;
+    },
+    update: async (collection, id, patch) => {
+      const records = read(collection);
+      const existing = records.find(r => r.id === id);
+      if (!existing) throw new Error(`No ${collection} record with id ${id}`);
+      if (isStaleVersion(existing, patch)) throw new ConflictError('edited', existing);
+      const updated = { ...existing, ...patch, id };
+      write(collection, records.map(r => r.id === id ? updated : r));
+      return updated;
+    },
+    remove: async (collection, query) => {
+      write(collection, read(collection).filter(r => !matchesQuery(r, query)));
+    },
+    // Browsers fire storage events in every other tab of this site after a write
+    subscribe: (listener) => {
+      const handleStorage = (e) => {
+        Object.keys(LS_COLLECTIONS)
+          .filter(collection => e.key === null || e.key === LS_COLLECTIONS[collection])
+          .forEach(listener);
+      };
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    },
+  };
+};
+
+/**
+ * Talks to the bundled REST server (see server/index.js).
+ */
+const createHttpAdapter = (baseUrl) => {
+  const request = async (path, options = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      if (res.status === 409 && body.current) throw new ConflictError('edited', body.current);
+      const err = new Error(body.error || `Request failed with status ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.status === 204 ? null : res.json();
+  };
+  const toQueryString = (query = {}) => {
+    const params = new URLSearchParams(query).toString();
+    return params ? `?${params}` : '';
+  };
+
+  return {
+    list: (collection, query) => request(`/${collection}${toQueryString(query)}`),
+    insert: (collection, record) => request(`/${collection}`, { method: 'POST', body: JSON.stringify(record) }),
+    update: (collection, id, patch) =>
+      request(`/${collection}/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify(patch) }),
+    remove: (collection, query) => request(`/${collection}${toQueryString(query)}`, { method: 'DELETE' }),
+  };
+};
+
+// Set REACT_APP_API_URL (e.g. http://localhost:4000/api) to use the REST backend
+const API_URL = typeof process !== 'undefined' ? process.env.REACT_APP_API_URL : undefined;
+const defaultAdapter = API_URL ? createHttpAdapter(API_URL) : createLocalStorageAdapter();
+
+// --- Markdown ---
+// Post bodies are Markdown. The parser builds a small tree that is rendered as
+// React elements, never as raw HTML, so stored content cannot inject markup or
+// script; HTML in a post shows up as text. URLs are the one remaining vector
+// and are checked by safeUrl before they reach an href or src.
+
+const INLINE_PATTERNS = [
+  { type: 'code', regex: /`([^`]+)`/ },
+  { type: 'image', regex: /!\[([^\]]*)\]\(([^)\s]+)\)/ },
+  { type: 'link', regex: /\[([^\]]+)\]\(([^)\s]+)\)/ },
+  { type: 'strong', regex: /\*\*([^*]+)\*\*|__([^_]+)__/ },
+  { type: 'em', regex: /\*([^*\s][^*]*)\*|\b_([^_]+)_\b/ },
+];
+
+// Only web, mail and same-site links are allowed; javascript:, data: etc. are dropped
+const safeUrl = (url) => {
+  // Browsers ignore control characters and whitespace inside a scheme
+  const cleaned = url.replace(/[\u0000-\u0020\u007f]/g, '');
+  if (/^(https?:|mailto:)/i.test(cleaned)) return url;
+  // "//host" and "/\host" both lead off-site, since browsers read a backslash as a slash
+  if (/^[/#]/.test(cleaned) && !/^\/[/\\]/.test(cleaned)) return url;
+  return null;
+};
+
+const parseInline = (text) => {
+  const nodes = [];
+  let rest = text;
+  while (rest) {
+    // Take whichever pattern matches earliest; earlier patterns win ties
+    let best = null;
+    for (const { type, regex } of INLINE_PATTERNS) {
+      const match = rest.match(regex);
+      if (match && (!best || match.index < best.match.index)) best = { type, match };
+    }
+    if (!best) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+
+    const { type, match } = best;
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    const inner = match[1] !== undefined ? match[1] : match[2];
+    if (type === 'code') nodes.push({ type, text: inner });
+    else if (type === 'image') nodes.push({ type, alt: match[1], url: match[2] });
+    else if (type === 'link') nodes.push({ type, url: match[2], children: parseInline(match[1]) });
+    else nodes.push({ type, children: parseInline(inner) });
+    rest = rest.slice(match.index + match[0].length);
+  }
+  return nodes;
+};
+
+const FENCE = /^```\s*([\w-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+const isBlockStart = (line) =>
+  FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+const parseMarkdown = (source) => {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+    } else if (FENCE.test(line)) {
+      const language = line.match(FENCE)[1];
+      const code = [];
+      for (i++; i < lines.length && !/^```\s*$/.test(lines[i]); i++) code.push(lines[i]);
+      i++; // Skip the closing fence
+      blocks.push({ type: 'code', language, text: code.join('\n') });
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = line.match(HEADING);
+      blocks.push({ type: 'heading', level: hashes.length, children: parseInline(text.replace(/\s+#+\s*$/, '')) });
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].replace(QUOTE, ''));
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /\d/.test(line.match(LIST_ITEM)[1]);
+      const items = [];
+      for (; i < lines.length && LIST_ITEM.test(lines[i]); i++) {
+        const [, marker, text] = lines[i].match(LIST_ITEM);
+        if (/\d/.test(marker) !== ordered) break;
+        items.push(parseInline(text));
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else {
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i]); i++) paragraph.push(lines[i]);
+      blocks.push({ type: 'paragraph', lines: paragraph.map(parseInline) });
+    }
+  }
+  return blocks;
+};
+
+const inlineToText = (nodes) => nodes.map(node => {
+  if (node.type === 'text' || node.type === 'code') return node.text;
+  if (node.type === 'image') return node.alt;
+  return inlineToText(node.children);
+}).join('');
+
+const blocksToText = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'code': return block.text;
+    case 'heading': return inlineToText(block.children);
+    case 'quote': return blocksToText(block.children);
+    case 'list': return block.items.map(inlineToText).join(' ');
+    case 'paragraph': return block.lines.map(inlineToText).join(' ');
+    default: return '';
+  }
+}).filter(Boolean).join(' ');
+
+// Plain text of a Markdown document, e.g. for excerpts and the search index
+const markdownToPlainText = (source) => blocksToText(parseMarkdown(source)).replace(/\s+/g, ' ').trim();
+
+// Shortens text to at most maxLength characters, ending on a word boundary
+const makeExcerpt = (text, maxLength = 150) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  const excerpt = lastSpace > 0 ? cut.slice(0, lastSpace) : text.slice(0, maxLength);
+  return `${excerpt.replace(/[\s.,;:!?-]+$/, '')}...`;
+};
+
+// --- Search Index ---
+// Matches in titles and names count for more than matches in body text
+const SEARCH_FIELD_WEIGHTS = { title: 3, displayName: 3, tags: 2, content: 1, text: 1 };
+
+const tokenize = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * In-memory inverted index over posts, comments and users. Documents are
+ * re-indexed one at a time as they change, so a search never rescans everything.
+ */
+const createSearchIndex = () => {
+  const postings = new Map(); // term -> Map(docKey -> weighted term frequency)
+  const docs = new Map(); // docKey -> { type, id, authorId, createdAt, fields, terms, ... }
+
+  const removeKey = (key) => {
+    const doc = docs.get(key);
+    if (!doc) return;
+    doc.terms.forEach(term => {
+      const docsForTerm = postings.get(term);
+      docsForTerm.delete(key);
+      if (docsForTerm.size === 0) postings.delete(term);
+    });
+    docs.delete(key);
+  };
+
+  const add = (type, id, { fields, ...details }) => {
+    const key = `${type}:${id}`;
+    removeKey(key);
+
+    const weights = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      tokenize(text).forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + (SEARCH_FIELD_WEIGHTS[field] || 1));
+      });
+    });
+    weights.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(key, weight);
+    });
+    docs.set(key, { ...details, type, id, fields, terms: [...weights.keys()] });
+  };
+
+  const remove = (type, id) => removeKey(`${type}:${id}`);
+
+  const removeType = (type) => {
+    [...docs.values()].filter(doc => doc.type === type).forEach(doc => removeKey(`${type}:${doc.id}`));
+  };
+
+  // The last query word is probably still being typed, so it also matches as a prefix
+  const expand = (word, isLast) => {
+    if (!isLast) return postings.has(word) ? [word] : [];
+    return [...postings.keys()].filter(term => term.startsWith(word));
+  };
+
+  const search = (query, { type, authorId, from, to } = {}) => {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    let scores = null;
+    words.forEach((word, i) => {
+      const wordScores = new Map();
+      expand(word, i === words.length - 1).forEach(term => {
+        const docsForTerm = postings.get(term);
+        const idf = Math.log(1 + docs.size / docsForTerm.size);
+        docsForTerm.forEach((weight, key) => {
+          wordScores.set(key, Math.max(wordScores.get(key) || 0, weight * idf));
+        });
+      });
+      // Every query word has to match
+      scores = scores === null
+        ? wordScores
+        : new Map([...scores].filter(([key]) => wordScores.has(key)).map(([key, score]) => [key, score + wordScores.get(key)]));
+    });
+
+    return [...scores]
+      .map(([key, score]) => ({ ...docs.get(key), score }))
+      .filter(doc =>
+        (!type || doc.type === type) &&
+        (!authorId || doc.authorId === authorId) &&
+        (!from || (doc.createdAt && doc.createdAt >= from)) &&
+        (!to || (doc.createdAt && doc.createdAt <= to))
+      )
+      .sort((a, b) => b.score - a.score || byNewest(a, b));
+  };
+
+  return { add, remove, removeType, search, clear: () => { postings.clear(); docs.clear(); } };
+};
+
+const indexPost = (index, post) =>
+  index.add('post', post.id, {
+    authorId: post.authorId,
+    createdAt: postTime(post),
+    fields: { title: post.title, tags: getPostTags(post).join(' '), content: markdownToPlainText(post.content) },
+  });
+
+// Tombstoned comments have no text left to find
+const indexComment = (index, comment) => {
+  if (comment.deleted) {
+    index.remove('comment', comment.id);
+    return;
+  }
+  index.add('comment', comment.id, {
+    postId: comment.postId,
+    authorId: comment.authorId,
+    createdAt: comment.createdAt,
+    fields: { text: comment.text },
+  });
+};
+
+// --- Image Processing ---
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10 MB before resizing
+const MAX_IMAGE_DIMENSION = 1280;
+const THUMBNAIL_DIMENSION = 320;
+// Images share the browser's few MB of storage; counted in data URL characters, thumbnail included
+const MAX_STORED_IMAGE_CHARS = 1024 * 1024;
+const MAX_IMAGES_PER_POST = 6;
+
+// Throws if the file is not an image we accept
+const validateImageFile = (file) => {
+  if (!IMAGE_TYPES.includes(file.type)) {
+    throw new Error(`${file.name || 'File'} is not a supported image (JPEG, PNG, GIF or WebP)`);
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    throw new Error(`${file.name || 'Image'} is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`);
+  }
+};
+
+const loadImageElement = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name || 'Image'} could not be read`));
+  };
+  img.src = url;
+});
+
+// Scales the image down (never up) to fit within maxDimension
+const resizeImage = (img, maxDimension, type) => {
+  const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return { dataUrl: canvas.toDataURL(type, 0.85), width: canvas.width, height: canvas.height };
+};
+
+// Validates, resizes and thumbnails an uploaded file
+const processImageFile = async (file) => {
+  validateImageFile(file);
+  const img = await loadImageElement(file);
+  // PNGs keep their transparency; everything else is re-encoded as JPEG
+  const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  const thumbnail = resizeImage(img, THUMBNAIL_DIMENSION, type);
+  // Detailed images are scaled down further until they fit
+  for (let dimension = MAX_IMAGE_DIMENSION; dimension >= THUMBNAIL_DIMENSION; dimension = Math.round(dimension * 0.75)) {
+    const full = resizeImage(img, dimension, type);
+    if (full.dataUrl.length + thumbnail.dataUrl.length <= MAX_STORED_IMAGE_CHARS) {
+      return { type, width: full.width, height: full.height, dataUrl: full.dataUrl, thumbnailUrl: thumbnail.dataUrl };
+    }
+  }
+  throw new Error(`${file.name || 'Image'} is too large to store, even scaled down`);
+};
+
+// --- Reactions ---
+// Posts and comments keep `reactions: { [uid]: { type, at } }`, so each user has
+// at most one reaction per item
+const REACTIONS = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'laugh', emoji: '😂', label: 'Haha' },
+  { type: 'wow', emoji: '😮', label: 'Wow' },
+  { type: 'sad', emoji: '😢', label: 'Sad' },
+];
+
+// { like: 3, love: 1, ... } with every type present
+const countReactions = (item) => {
+  const counts = Object.fromEntries(REACTIONS.map(r => [r.type, 0]));
+  Object.values(item.reactions || {}).forEach(({ type }) => {
+    if (type in counts) counts[type] += 1;
+  });
+  return counts;
+};
+
+const reactionTotal = (item) => Object.keys(item.reactions || {}).length;
+
+// --- Tags ---
+// Posts carry the tags typed into the editor; #hashtags in the content count too.
+// Both are derived from the posts on every change, so edits and deletes keep counts right.
+const MAX_TAGS_PER_POST = 10;
+const MAX_TAG_LENGTH = 30;
+const HASHTAG = /(^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+const TRENDING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const TRENDING_POST_WEIGHT = 3; // A new post counts for as much as three reactions
+
+const normalizeTag = (tag) =>
+  tag.replace(/^#+/, '').toLowerCase().replace(/[^\p{L}\p{N}_-]/gu, '').slice(0, MAX_TAG_LENGTH);
+
+// Turns "travel, #Food  photos" into ['travel', 'food', 'photos']
+const parseTags = (text) =>
+  [...new Set(text.split(/[\s,]+/).map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS_PER_POST);
+
+// Hashtags in the Markdown source, ignoring code where "#" means something else
+const extractHashtags = (content = '') => {
+  const prose = content.replace(/```[\s\S]*?(```|$)/g, ' ').replace(/`[^`\n]*`/g, ' ');
+  const tags = [...prose.matchAll(HASHTAG)].map(match => normalizeTag(match[2]));
+  // "#1" is a ranking, not a tag
+  return [...new Set(tags.filter(tag => /\p{L}/u.test(tag)))];
+};
+
+const getPostTags = (post) => [...new Set([...(post.tags || []), ...extractHashtags(post.content)])];
+
+/**
+ * Ranks tags by activity within the window before `now`: posts published with
+ * the tag and reactions those posts received.
+ */
+const rankTrendingTags = (posts, now, { windowMs = TRENDING_WINDOW_MS, limit = 10 } = {}) => {
+  const since = now.getTime() - windowMs;
+  const scores = new Map();
+  for (const post of posts) {
+    const recentPost = new Date(postTime(post)).getTime() >= since ? TRENDING_POST_WEIGHT : 0;
+    const recentReactions = Object.values(post.reactions || {}).filter(r => r.at && new Date(r.at).getTime() >= since).length;
+    const score = recentPost + recentReactions;
+    if (score === 0) continue;
+    for (const tag of getPostTags(post)) {
+      const entry = scores.get(tag) || { tag, score: 0, posts: 0 };
+      entry.score += score;
+      entry.posts += 1;
+      scores.set(tag, entry);
+    }
+  }
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score || b.posts - a.posts || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+};
+
+// --- Data Export ---
+// Admin exports carry a schema version so that files made today can still be
+// read after the stored shape of users, posts or comments changes.
+// Version 2 added `collectionVersions`, the stored schema of each list.
+const EXPORT_FORMAT = 'social-media-app-export';
+const EXPORT_SCHEMA_VERSION = 2;
+const EXPORT_COLLECTIONS = ['users', 'posts', 'comments'];
+const EXPORT_STORAGE_KEYS = { users: LS_USERS, posts: LS_POSTS, comments: LS_COMMENTS };
+
+const exportCollectionVersions = () => Object.fromEntries(
+  EXPORT_COLLECTIONS.map(name => [name, latestSchemaVersion(EXPORT_STORAGE_KEYS[name])])
+);
+// Shown in place of the author of anonymised posts and comments
+const DELETED_USER_NAME = 'Deleted user';
+
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const downloadJson = (filename, data) => downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+
+// Checks an uploaded admin export, throwing a readable error for anything else
+const parseExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("That file isn't valid JSON");
+  }
+  if (!data || data.format !== EXPORT_FORMAT) throw new Error("That file isn't an export from this app");
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) throw new Error("That export has no valid schema version");
+  if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`That export uses schema version ${data.schemaVersion}, but this app only reads up to version ${EXPORT_SCHEMA_VERSION}`);
+  }
+  EXPORT_COLLECTIONS.forEach(name => {
+    if (!Array.isArray(data[name])) throw new Error(`That export has no ${name} list`);
+  });
+
+  // Bring older records up to the current stored schema; version 1 exports predate collectionVersions
+  const versions = data.collectionVersions || {};
+  const upgraded = { ...data };
+  EXPORT_COLLECTIONS.forEach(name => {
+    const key = EXPORT_STORAGE_KEYS[name];
+    const version = versions[name] || 1;
+    if (version > latestSchemaVersion(key)) {
+      throw new Error(`That export's ${name} use schema version ${version}, which this app doesn't know yet`);
+    }
+    upgraded[name] = migrateRecords(key, data[name], version, { users: upgraded.users });
+  });
+  return upgraded;
+};
+
+// --- Messages ---
+// One-to-one conversations. Each message is
+//   { id, conversationId, senderId, recipientId, text, createdAt, readAt }
+// and each block { id, blockerId, blockedId, createdAt }.
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Both people get the same id whoever writes first
+const conversationIdFor = (uid, otherUid) => [uid, otherUid].sort().join(':');
+
+// The user's conversations, most recently active first
+const groupConversations = (messages, uid) => {
+  const conversations = new Map();
+  [...messages].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)).forEach(message => {
+    const otherUid = message.senderId === uid ? message.recipientId : message.senderId;
+    if (!conversations.has(message.conversationId)) {
+      conversations.set(message.conversationId, { id: message.conversationId, otherUid, messages: [], unread: 0 });
+    }
+    const conversation = conversations.get(message.conversationId);
+    conversation.messages.push(message);
+    conversation.latest = message;
+    if (message.recipientId === uid && !message.readAt) conversation.unread += 1;
+  });
+  return [...conversations.values()].sort((a, b) => byNewest(a.latest, b.latest));
+};
+
+// --- Bookmarks ---
+// A bookmark is { id, userId, postId, collectionId, createdAt }, where
+// collectionId is null until the user sorts it into one of their collections.
+// Collections are { id, ownerId, name, isPublic, createdAt } and start private.
+const MAX_COLLECTION_NAME_LENGTH = 60;
+
+// The trimmed name, or an error if it is empty, too long or already used by
+// another of `collections` (names are compared case-insensitively)
+const validateCollectionName = (name, collections, collectionId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error("Collection name cannot be empty");
+  if (trimmed.length > MAX_COLLECTION_NAME_LENGTH) {
+    throw new Error(`Collection names can be at most ${MAX_COLLECTION_NAME_LENGTH} characters`);
+  }
+  if (collections.some(c => c.id !== collectionId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`You already have a collection called "${trimmed}"`);
+  }
+  return trimmed;
+};
+
+// --- Text Diff ---
+// Word-level diff of two texts via longest common subsequence. The table is
+// quadratic, so very long texts fall back to comparing whole lines.
+const MAX_DIFF_CELLS = 1000000;
+
+const diffTokens = (before, after) => {
+  const rows = before.length;
+  const cols = after.length;
+  // lcs[i][j] is the common length of before[i..] and after[j..]
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      push('same', before[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', before[i++]);
+    } else {
+      push('added', after[j++]);
+    }
+  }
+  while (i < rows) push('removed', before[i++]);
+  while (j < cols) push('added', after[j++]);
+  return parts;
+};
+
+// Returns [{ type: 'same' | 'added' | 'removed', text }] turning `before` into `after`
+const diffText = (before = '', after = '') => {
+  const words = (text) => text.split(/(\s+)/).filter(Boolean);
+  const lines = (text) => text.split(/(?<=\n)/);
+  const beforeWords = words(before);
+  const afterWords = words(after);
+  return beforeWords.length * afterWords.length <= MAX_DIFF_CELLS
+    ? diffTokens(beforeWords, afterWords)
+    : diffTokens(lines(before), lines(after));
+};
+
+// The parts of a post that are versioned by revisions
+const toRevisionFields = (post) => ({
+  title: post.title,
+  content: post.content,
+  images: post.images || [],
+  imageUrl: post.imageUrl || '',
+  tags: post.tags || [],
+});
+
+// --- Mock Database Context ---
+const DatabaseContext = createContext();
+
+const useDatabase = () => useContext(DatabaseContext);
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+// --- Scheduled Posts ---
+// A post with a future publishAt is only visible to its author until then
+const postTime = (post) => post.publishAt || post.createdAt;
+
+const isPublished = (post, now) => !post.publishAt || new Date(post.publishAt) <= now;
+
+// --- Feed Cursors ---
+// A cursor is the "time|id" of the last post a page ended on, where time is when
+// the post was published. Ordering by that time with the id as a tie-breaker keeps
+// pages stable while posts are added.
+const FEED_PAGE_SIZE = 10;
+
+const byNewestStable = (a, b) =>
+  new Date(postTime(b)) - new Date(postTime(a)) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+const toCursor = (post) => `${postTime(post)}|${post.id}`;
+
+const fromCursor = (cursor) => {
+  const [createdAt, id] = cursor.split('|');
+  return { createdAt, id };
+};
+
+const matchesFilter = (post, { authorId, authorIds, tag }) =>
+  (!authorId || post.authorId === authorId) &&
+  (!authorIds || authorIds.includes(post.authorId)) &&
+  (!tag || getPostTags(post).includes(tag));
+
+// --- Outbox ---
+// New and edited posts and comments show up straight away and are queued in
+// LS_OUTBOX, which survives reloads, until the adapter has them. Each entry is
+//   { id, type, collection, recordId, actorId, record | patch, base, baseVersion,
+//     status, attempts, nextAttemptAt, claimedUntil, error, conflict, createdAt }
+// where `type` is addPost, updatePost, addComment or updateComment, `record` is
+// the whole new record, `patch` the edited fields, `base` those fields as they
+// were before the edit, and `status` is 'pending', 'conflict' or 'failed'.
+// The tab sending an entry sets its `claimedUntil`.
+const OUTBOX_RETRY_BASE_MS = 2000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Exponential backoff with jitter, so tabs that went offline together don't retry together
+const retryDelay = (attempts) =>
+  Math.min(OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_MS) * (0.5 + Math.random() / 2);
+
+// fetch rejects with a TypeError when the network is down; 5xx, 408 and 429 may succeed later
+const isTransientError = (err) =>
+  err instanceof TypeError || err.status >= 500 || err.status === 408 || err.status === 429;
+
+const isPendingWrite = (entry, uid, collection) =>
+  entry.actorId === uid && entry.status === 'pending' && (!collection || entry.collection === collection);
+
+// The queued write that creates a record the storage backend doesn't have yet
+const findQueuedInsert = (entries, recordId, uid) =>
+  entries.find(e => e.recordId === recordId && e.record && e.actorId === uid);
+
+// Shows a queued write on top of the records it applies to
+const applyPendingWrite = (records, entry) => {
+  if (entry.record) return records.some(r => r.id === entry.recordId) ? records : [...records, entry.record];
+  return records.map(r => r.id === entry.recordId ? { ...r, ...entry.patch, version: entry.baseVersion + 1 } : r);
+};
+
+const withPendingWrites = (records, entries, uid, collection) =>
+  entries.filter(e => isPendingWrite(e, uid, collection)).reduce(applyPendingWrite, records);
+
+// Another tab is sending this entry; leave it alone until the claim runs out
+const OUTBOX_CLAIM_MS = 30 * 1000;
+
+const isClaimed = (entry) => !!entry.claimedUntil && new Date(entry.claimedUntil) > new Date();
+
+const upsertById = (records, record) =>
+  records.some(r => r.id === record.id) ? records.map(r => r.id === record.id ? record : r) : [...records, record];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Three-way merge of an edit (`mine`) with the stored record (`theirs`), both
+ * made from `base`. Fields only one side changed merge by themselves; the
+ * fields both changed differently are returned as `clashes`.
+ */
+const mergeEdits = (base, mine, theirs) => {
+  const merged = {};
+  const clashes = [];
+  Object.keys(mine).forEach(field => {
+    if (sameValue(mine[field], theirs[field]) || sameValue(base[field], theirs[field])) merged[field] = mine[field];
+    else if (sameValue(base[field], mine[field])) merged[field] = theirs[field];
+    else clashes.push(field);
+  });
+  return { merged, clashes };
+};
+
+const DatabaseProvider = ({ adapter = defaultAdapter, children }) => {
+  const { users, currentUser, suspendUser, unsuspendUser, setUserRole } = useAuth();
+  const currentUid = currentUser ? currentUser.uid : null;
+  const [posts, setPosts] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [searchIndex] = useState(createSearchIndex);
+  // Bumped when a scheduled post comes due, so it shows up without a reload
+  const [now, setNow] = useState(() => new Date());
+  // Images are large, so they are fetched one at a time on demand, keyed by id
+  const [images, setImages] = useState({});
+  const imageRequestsRef = useRef({});
+  // Only the logged-in user's own notifications are loaded
+  const [notifications, setNotifications] = useState([]);
+  // The logged-in user's messages, and blocks made by or against them
+  const [messages, setMessages] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  // The logged-in user's bookmarks and bookmark collections
+  const [bookmarks, setBookmarks] = useState([]);
+  const [bookmarkCollections, setBookmarkCollections] = useState([]);
+  // Writes waiting to reach the adapter, for every user of this browser; see Outbox
+  const [outbox, setOutbox] = useState(() => readStoredList(LS_OUTBOX));
+  const [syncing, setSyncing] = useState(false);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const flushingRef = useRef(false);
+
+  // Keep the latest posts and comments around for actions that read before they write
+  const postsRef = useRef(posts);
+  postsRef.current = posts;
+  const commentsRef = useRef(comments);
+  commentsRef.current = comments;
+  const currentUidRef = useRef(currentUid);
+  currentUidRef.current = currentUid;
+  // Every change below is checked against whoever is logged in at the time
+  const currentUserRef = useRef(currentUser);
+  currentUserRef.current = currentUser;
+  // AuthProvider makes these afresh on every render; moderation calls the latest
+  const userAdminRef = useRef();
+  userAdminRef.current = { suspendUser, unsuspendUser, setUserRole };
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const [storedPosts, storedComments] = (await Promise.all([adapter.list('posts'), adapter.list('comments')]))
+        .map((records, i) => withPendingWrites(records, readStoredList(LS_OUTBOX), currentUidRef.current, i === 0 ? 'posts' : 'comments'));
+      searchIndex.removeType('post');
+      searchIndex.removeType('comment');
+      storedPosts.forEach(post => indexPost(searchIndex, post));
+      storedComments.forEach(comment => indexComment(searchIndex, comment));
+      setPosts(storedPosts);
+      setComments(storedComments);
+    } catch (err) {
+      console.error(err);
+      setLoadError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [adapter, searchIndex]);
+
+  // Records the user is on either side of: messages sent or received, blocks made or received
+  const listOwnRecords = useCallback(async (collection, uid) => {
+    const [from, to] = collection === 'messages' ? ['senderId', 'recipientId'] : ['blockerId', 'blockedId'];
+    const [mine, theirs] = await Promise.all([adapter.list(collection, { [from]: uid }), adapter.list(collection, { [to]: uid })]);
+    // A message to yourself would show up in both lists
+    return [...mine, ...theirs.filter(r => r[from] !== uid)];
+  }, [adapter]);
+
+  // Load posts and comments from the adapter on mount
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Another tab changed a collection: re-read it. Every write is a read-modify-write
+  // against the adapter, so the stored copy already includes both tabs' changes.
+  useEffect(() => {
+    if (!adapter.subscribe) return;
+    return adapter.subscribe(async (collection) => {
+      try {
+        const pending = readStoredList(LS_OUTBOX);
+        if (collection === 'posts') {
+          const stored = withPendingWrites(await adapter.list('posts'), pending, currentUidRef.current, 'posts');
+          searchIndex.removeType('post');
+          stored.forEach(post => indexPost(searchIndex, post));
+          setPosts(stored);
+        } else if (collection === 'comments') {
+          const stored = withPendingWrites(await adapter.list('comments'), pending, currentUidRef.current, 'comments');
+          searchIndex.removeType('comment');
+          stored.forEach(comment => indexComment(searchIndex, comment));
+          setComments(stored);
+        } else if (collection === 'notifications' && currentUidRef.current) {
+          setNotifications(await adapter.list('notifications', { recipientId: currentUidRef.current }));
+        } else if (collection === 'messages' && currentUidRef.current) {
+          setMessages(await listOwnRecords('messages', currentUidRef.current));
+        } else if (collection === 'blocks' && currentUidRef.current) {
+          setBlocks(await listOwnRecords('blocks', currentUidRef.current));
+        } else if (collection === 'bookmarks' && currentUidRef.current) {
+          setBookmarks(await adapter.list('bookmarks', { userId: currentUidRef.current }));
+        } else if (collection === 'bookmarkCollections' && currentUidRef.current) {
+          setBookmarkCollections(await adapter.list('bookmarkCollections', { ownerId: currentUidRef.current }));
+        } else if (collection === 'images') {
+          // Re-check the images already fetched, so deleted ones disappear while
+          // the rest stay on screen. Anything else is fetched fresh on next use.
+          const cachedIds = Object.keys(imageRequestsRef.current);
+          imageRequestsRef.current = {};
+          const fetched = await Promise.all(cachedIds.map(async (id) => {
+            const [image] = await adapter.list('images', { id });
+            return [id, image || null];
+          }));
+          setImages(prev => ({ ...prev, ...Object.fromEntries(fetched) }));
+        }
+      } catch (err) {
+        console.error(`Error syncing ${collection}: `, err);
+      }
+    });
+  }, [adapter, searchIndex, listOwnRecords]);
+
+  // Load the logged-in user's messages and blocks whenever they change
+  useEffect(() => {
+    setMessages([]);
+    setBlocks([]);
+    if (!currentUid) return;
+    let cancelled = false;
+    Promise.all([listOwnRecords('messages', currentUid), listOwnRecords('blocks', currentUid)])
+      .then(([storedMessages, storedBlocks]) => {
+        if (cancelled) return;
+        setMessages(storedMessages);
+        setBlocks(storedBlocks);
+      })
+      .catch(err => console.error("Error loading messages: ", err));
+    return () => { cancelled = true; };
+  }, [currentUid, listOwnRecords]);
+
+  // Load the logged-in user's bookmarks and collections whenever they change
+  useEffect(() => {
+    setBookmarks([]);
+    setBookmarkCollections([]);
+    if (!currentUid) return;
+    let cancelled = false;
+    Promise.all([adapter.list('bookmarks', { userId: currentUid }), adapter.list('bookmarkCollections', { ownerId: currentUid })])
+      .then(([storedBookmarks, storedCollections]) => {
+        if (cancelled) return;
+        setBookmarks(storedBookmarks);
+        setBookmarkCollections(storedCollections);
+      })
+      .catch(err => console.error("Error loading bookmarks: ", err));
+    return () => { cancelled = true; };
+  }, [adapter, currentUid]);
+
+  // Load the logged-in user's notifications whenever they change
+  useEffect(() => {
+    setNotifications([]);
+    if (!currentUid) return;
+    let cancelled = false;
+    adapter.list('notifications', { recipientId: currentUid })
+      .then(stored => {
+        if (!cancelled) setNotifications(stored);
+      })
+      .catch(err => console.error("Error loading notifications: ", err));
+    return () => { cancelled = true; };
+  }, [adapter, currentUid]);
+
+  // Users live in AuthProvider, so re-index their names whenever the list changes
+  useEffect(() => {
+    searchIndex.removeType('user');
+    users.forEach(user => searchIndex.add('user', user.uid, {
+      authorId: user.uid,
+      createdAt: user.createdAt,
+      fields: { displayName: user.displayName },
+    }));
+  }, [users, searchIndex]);
+
+  // Records an event for another user. A failed notification never fails the action that caused it.
+  const notify = useCallback(async (notification) => {
+    if (!notification.recipientId || notification.recipientId === notification.actorId) return;
+    try {
+      const saved = await adapter.insert('notifications', {
+        ...notification,
+        id: generateId(),
+        createdAt: new Date().toISOString(),
+        read: false,
+      });
+      if (saved.recipientId === currentUidRef.current) setNotifications(prev => [...prev, saved]);
+    } catch (err) {
+      console.error("Error recording notification: ", err);
+    }
+  }, [adapter]);
+
+  const updateOutbox = useCallback((updater) => setOutbox(updateStoredList(LS_OUTBOX, updater)), []);
+
+  // Puts a record the adapter returned on screen, with any writes still queued for it on top
+  const showRecord = useCallback((collection, record) => {
+    const queued = readStoredList(LS_OUTBOX).filter(e => e.recordId === record.id);
+    const [shown] = withPendingWrites([record], queued, currentUidRef.current, collection);
+    if (collection === 'posts') {
+      indexPost(searchIndex, shown);
+      setPosts(prev => upsertById(prev, shown));
+    } else {
+      indexComment(searchIndex, shown);
+      setComments(prev => upsertById(prev, shown));
+    }
+  }, [searchIndex]);
+
+  const forgetRecord = useCallback((collection, id) => {
+    if (collection === 'posts') {
+      searchIndex.remove('post', id);
+      setPosts(prev => prev.filter(p => p.id !== id));
+    } else {
+      searchIndex.remove('comment', id);
+      setComments(prev => prev.filter(c => c.id !== id));
+    }
+  }, [searchIndex]);
+
+  // Sends one queued write, returning the stored record. Throws a ConflictError
+  // when the record was changed or deleted since the write was made.
+  const sendWrite = useMemo(() => {
+    // A retry may follow an attempt that went through without us hearing back
+    const alreadyInserted = async (entry) => {
+      if (entry.attempts === 0) return null;
+      const [existing] = await adapter.list(entry.collection, { id: entry.recordId });
+      return existing || null;
+    };
+    const alreadyUpdated = (entry, stored) =>
+      entry.attempts > 0 && versionOf(stored) === entry.baseVersion + 1 &&
+      Object.entries(entry.patch).every(([field, value]) => sameValue(stored[field], value));
+    const readForUpdate = async (entry, action) => {
+      const [stored] = await adapter.list(entry.collection, { id: entry.recordId });
+      if (!stored || stored.deleted) throw new ConflictError('deleted');
+      authorize(currentUserRef.current, action, stored);
+      if (versionOf(stored) !== entry.baseVersion && !alreadyUpdated(entry, stored)) {
+        throw new ConflictError('edited', stored);
+      }
+      return stored;
+    };
+
+    return {
+      addPost: async (entry) => {
+        authorize(currentUserRef.current, 'post.create');
+        return (await alreadyInserted(entry)) || adapter.insert('posts', entry.record);
+      },
+      updatePost: async (entry) => {
+        const previous = await readForUpdate(entry, 'post.update');
+        if (alreadyUpdated(entry, previous)) return previous;
+        const updatedAt = new Date().toISOString();
+        const patch = { ...entry.patch, updatedAt, version: entry.baseVersion + 1 };
+
+        // Keep the published version being replaced so it can be viewed and restored later.
+        // Changes made while a post is still scheduled aren't part of its history.
+        const snapshot = toRevisionFields(previous);
+        const changed = JSON.stringify(snapshot) !== JSON.stringify(toRevisionFields({ ...previous, ...entry.patch }));
+        if (changed && isPublished(previous, new Date())) patch.editedAt = updatedAt;
+
+        const saved = await adapter.update('posts', entry.recordId, patch);
+        // Only once the edit is in, so a refused or conflicting one leaves no revision behind
+        if (patch.editedAt) {
+          await adapter.insert('revisions', {
+            ...snapshot,
+            id: generateId(),
+            postId: previous.id,
+            versionAt: previous.editedAt || postTime(previous),
+            createdAt: updatedAt,
+          });
+        }
+        if (changed && !patch.editedAt) {
+          // No revision keeps a scheduled post's removed images, so drop them
+          const keptIds = (saved.images || []).map(img => img.imageId);
+          for (const { imageId } of (previous.images || []).filter(img => !keptIds.includes(img.imageId))) {
+            await adapter.remove('images', { id: imageId });
+          }
+        }
+        return saved;
+      },
+      addComment: async (entry) => {
+        authorize(currentUserRef.current, 'comment.create');
+        const existing = await alreadyInserted(entry);
+        if (existing) return existing;
+        const [post] = await adapter.list('posts', { id: entry.record.postId });
+        if (!post) throw new ConflictError('deleted');
+        const saved = await adapter.insert('comments', entry.record);
+
+        // Tell the post's author, and for replies the author of the comment being replied to
+        const parent = saved.parentId && commentsRef.current.find(c => c.id === saved.parentId);
+        const event = { actorId: saved.authorId, postId: saved.postId, commentId: saved.id };
+        if (parent && parent.authorId) {
+          await notify({ ...event, type: 'reply', recipientId: parent.authorId });
+        }
+        if (!parent || parent.authorId !== post.authorId) {
+          await notify({ ...event, type: 'comment', recipientId: post.authorId });
+        }
+        return saved;
+      },
+      updateComment: async (entry) => {
+        const previous = await readForUpdate(entry, 'comment.update');
+        if (alreadyUpdated(entry, previous)) return previous;
+        const editedAt = new Date().toISOString();
+        return adapter.update('comments', entry.recordId, {
+          ...entry.patch,
+          editedAt,
+          updatedAt: editedAt,
+          version: entry.baseVersion + 1,
+        });
+      },
+    };
+  }, [adapter, notify]);
+
+  // Sends the current user's queued writes in order. A write that fails for a
+  // reason that may pass, like being offline, is retried later with backoff and
+  // holds back everything queued after it.
+  const flushOutbox = useCallback(async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    setSyncing(true);
+    try {
+      for (;;) {
+        const entry = readStoredList(LS_OUTBOX).find(e => isPendingWrite(e, currentUidRef.current));
+        if (!entry || isClaimed(entry) || new Date(entry.nextAttemptAt) > new Date()) break;
+        const setEntry = (changes) => updateOutbox(entries => entries.map(e => e.id === entry.id ? { ...e, ...changes } : e));
+        setEntry({ claimedUntil: new Date(Date.now() + OUTBOX_CLAIM_MS).toISOString() });
+        try {
+          const saved = await sendWrite[entry.type](entry);
+          if (!readStoredList(LS_OUTBOX).some(e => e.id === entry.id)) {
+            // The record was deleted while this write was on its way; delete what it stored
+            if (entry.record) {
+              const related = entry.collection === 'posts' ? { postId: entry.recordId } : { commentId: entry.recordId };
+              await adapter.remove(entry.collection, { id: entry.recordId });
+              await adapter.remove('notifications', related);
+            }
+            continue;
+          }
+          updateOutbox(entries => entries.filter(e => e.id !== entry.id));
+          showRecord(entry.collection, saved);
+        } catch (err) {
+          if (err instanceof ConflictError) {
+            setEntry({ status: 'conflict', conflict: { reason: err.reason, current: err.current }, claimedUntil: null });
+            // Show what is actually stored until the user decides what to do
+            if (err.current) showRecord(entry.collection, err.current);
+            else forgetRecord(entry.collection, entry.recordId);
+          } else if (isTransientError(err)) {
+            const attempts = entry.attempts + 1;
+            setEntry({
+              attempts,
+              error: err.message,
+              nextAttemptAt: new Date(Date.now() + retryDelay(attempts)).toISOString(),
+              claimedUntil: null,
+            });
+            break;
+          } else {
+            console.error("Error sending queued write: ", err);
+            setEntry({ status: 'failed', error: err.message, claimedUntil: null });
+          }
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+      setSyncing(false);
+    }
+  }, [adapter, sendWrite, showRecord, forgetRecord, updateOutbox]);
+
+  // Queues a write for the logged-in user and starts sending. An edit to a record
+  // whose earlier write hasn't gone out yet is folded into that write.
+  const queueWrite = useCallback((write) => {
+    const actorId = currentUidRef.current;
+    const now = new Date().toISOString();
+    updateOutbox(entries => {
+      const queued = write.patch && entries.find(e => e.recordId === write.recordId && isPendingWrite(e, actorId) && !isClaimed(e));
+      if (!queued) {
+        return [...entries, {
+          ...write,
+          id: generateId(),
+          actorId,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          claimedUntil: null,
+          error: null,
+          conflict: null,
+          createdAt: now,
+        }];
+      }
+      const folded = queued.record
+        ? { record: { ...queued.record, ...write.patch } }
+        : { patch: { ...queued.patch, ...write.patch }, base: { ...write.base, ...queued.base } };
+      return entries.map(e => e.id === queued.id ? { ...e, ...folded } : e);
+    });
+    flushOutbox();
+  }, [updateOutbox, flushOutbox]);
+
+  // Drops queued writes for records that are being deleted
+  const dropQueuedWrites = useCallback((recordIds) => {
+    updateOutbox(entries => entries.filter(e => !recordIds.includes(e.recordId) || e.actorId !== currentUidRef.current));
+  }, [updateOutbox]);
+
+  // Send the logged-in user's queued writes, and show the ones still waiting
+  useEffect(() => {
+    if (!currentUid) return;
+    const pending = readStoredList(LS_OUTBOX);
+    setPosts(prev => withPendingWrites(prev, pending, currentUid, 'posts'));
+    setComments(prev => withPendingWrites(prev, pending, currentUid, 'comments'));
+    flushOutbox();
+  }, [currentUid, flushOutbox]);
+
+  // Try again once the first queued write is due
+  useEffect(() => {
+    const next = outbox.find(e => isPendingWrite(e, currentUid));
+    if (!next) return;
+    const dueAt = Math.max(new Date(next.nextAttemptAt).getTime(), next.claimedUntil ? new Date(next.claimedUntil).getTime() : 0);
+    const timer = setTimeout(flushOutbox, Math.max(0, dueAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [outbox, currentUid, flushOutbox]);
+
+  // Coming back online makes every waiting write due now. Other tabs' changes to
+  // the outbox are picked up too, so each tab's sync status stays current.
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      const now = new Date().toISOString();
+      updateOutbox(entries => entries.map(e => e.status === 'pending' ? { ...e, nextAttemptAt: now } : e));
+    };
+    const handleOffline = () => setOnline(false);
+    const handleStorage = (e) => {
+      if (e.key === null || e.key === LS_OUTBOX) setOutbox(readStoredList(LS_OUTBOX));
+    };
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [updateOutbox]);
+
+  const actions = useMemo(() => ({
+    // Posts
+    // New posts and edits show up at once and are sent through the outbox.
+    // The author is always the logged-in user, whatever the caller passes.
+    addPost: async (post) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'post.create');
+      const createdAt = new Date().toISOString();
+      const newPost = {
+        ...post,
+        authorId: actor.uid,
+        authorName: actor.displayName,
+        id: generateId(),
+        createdAt,
+        updatedAt: createdAt,
+        reactions: {},
+        version: 1,
+      };
+      queueWrite({ type: 'addPost', collection: 'posts', recordId: newPost.id, record: newPost });
+      indexPost(searchIndex, newPost);
+      setPosts(prev => [...prev, newPost]);
+      return newPost;
+    },
+    updatePost: async (updatedPost) => {
+      const previous = postsRef.current.find(p => p.id === updatedPost.id);
+      if (!previous) throw new Error("Post not found");
+      authorize(currentUserRef.current, 'post.update', previous);
+      // Authorship, reactions and the version number aren't the editor's to change
+      const { id, authorId, authorName, reactions, version, ...editable } = updatedPost;
+      queueWrite({
+        type: 'updatePost',
+        collection: 'posts',
+        recordId: id,
+        patch: editable,
+        base: Object.fromEntries(Object.keys(editable).map(field => [field, previous[field]])),
+        baseVersion: versionOf(previous),
+      });
+      const saved = { ...previous, ...editable, updatedAt: new Date().toISOString(), version: versionOf(previous) + 1 };
+      indexPost(searchIndex, saved);
+      setPosts(prev => prev.map(p => p.id === saved.id ? saved : p));
+      return saved;
+    },
+    getRevisions: async (postId) => {
+      const revisions = await adapter.list('revisions', { postId });
+      return revisions.sort(byNewest);
+    },
+    deletePost: async (postId) => {
+      const commentIds = commentsRef.current.filter(c => c.postId === postId).map(c => c.id);
+      const [post] = await adapter.list('posts', { id: postId });
+      if (!post) {
+        // A post made offline that hasn't been sent yet only needs taking out of the outbox
+        const queued = findQueuedInsert(readStoredList(LS_OUTBOX), postId, currentUidRef.current);
+        if (!queued) throw new Error("Post not found");
+        authorize(currentUserRef.current, 'post.delete', queued.record);
+        dropQueuedWrites([postId, ...commentIds]);
+        commentIds.forEach(id => forgetRecord('comments', id));
+        forgetRecord('posts', postId);
+        return;
+      }
+      authorize(currentUserRef.current, 'post.delete', post);
+      dropQueuedWrites([postId, ...commentIds]);
+      const revisions = await adapter.list('revisions', { postId });
+      const drafts = await adapter.list('drafts', { postId });
+      await adapter.remove('posts', { id: postId });
+      await adapter.remove('revisions', { postId });
+      await adapter.remove('drafts', { postId });
+      // Old versions and unsaved edits may reference images the post no longer shows
+      const imageIds = new Set([post, ...revisions, ...drafts].flatMap(p => (p.images || []).map(img => img.imageId)));
+      for (const imageId of imageIds) {
+        await adapter.remove('images', { id: imageId });
+      }
+      // Also delete related comments, including every nested reply, and their notifications
+      await adapter.remove('comments', { postId });
+      await adapter.remove('notifications', { postId });
+      setNotifications(prev => prev.filter(n => n.postId !== postId));
+      // Everyone's bookmarks of it go too; lists already open elsewhere show it as removed
+      await adapter.remove('bookmarks', { postId });
+      setBookmarks(prev => prev.filter(b => b.postId !== postId));
+      searchIndex.remove('post', postId);
+      commentsRef.current.filter(c => c.postId === postId).forEach(c => searchIndex.remove('comment', c.id));
+      setPosts(prev => prev.filter(p => p.id !== postId));
+      setComments(prev => prev.filter(c => c.postId !== postId));
+    },
+    // Sets the logged-in user's reaction to a post or comment. Reacting with the
+    // type they already chose, or with null, takes the reaction back.
+    setReaction: async (targetType, targetId, type) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'reaction.set');
+      const userId = actor.uid;
+      const collection = targetType === 'post' ? 'posts' : 'comments';
+      // Read the stored copy rather than ours, which may miss another tab's reactions
+      const [item] = await adapter.list(collection, { id: targetId });
+      if (!item && findQueuedInsert(readStoredList(LS_OUTBOX), targetId, userId)) {
+        throw new Error(`Can't react to a ${targetType} that hasn't been sent yet`);
+      }
+      if (!item) throw new Error(targetType === 'post' ? "Post not found" : "Comment not found");
+      if (type && !REACTIONS.some(r => r.type === type)) throw new Error(`Unknown reaction "${type}"`);
+
+      const previous = (item.reactions || {})[userId];
+      const reactions = { ...item.reactions };
+      const removing = !type || (previous && previous.type === type);
+      if (removing) delete reactions[userId];
+      else reactions[userId] = { type, at: new Date().toISOString() };
+      const saved = await adapter.update(collection, targetId, { reactions });
+      showRecord(collection, saved);
+
+      const event = targetType === 'post'
+        ? { type: 'reaction', postId: targetId }
+        : { type: 'commentReaction', postId: item.postId, commentId: targetId };
+      if (removing) {
+        // Take back the notification for a reaction that no longer exists
+        await adapter.remove('notifications', { ...event, actorId: userId }).catch(err => console.error(err));
+      } else if (!previous) {
+        await notify({ ...event, reaction: type, recipientId: item.authorId, actorId: userId });
+      }
+      return saved;
+    },
+
+    // Drafts are autosaved editor contents, one per user per post being written
+    listDrafts: async (authorId) => {
+      authorize(currentUserRef.current, 'draft.read', { authorId });
+      const drafts = await adapter.list('drafts', { authorId });
+      return drafts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    },
+    getDraft: async (draftId) => {
+      const [draft] = await adapter.list('drafts', { id: draftId });
+      // Someone else's draft is as good as missing
+      return draft && can(currentUserRef.current, 'draft.read', draft) ? draft : null;
+    },
+    saveDraft: async (draft) => {
+      const actor = currentUserRef.current;
+      const updatedAt = new Date().toISOString();
+      if (draft.id) {
+        const [existing] = await adapter.list('drafts', { id: draft.id });
+        if (existing) {
+          authorize(actor, 'draft.write', existing);
+          return adapter.update('drafts', draft.id, { ...draft, authorId: existing.authorId, updatedAt });
+        }
+      }
+      authorize(actor, 'draft.write', { authorId: actor && actor.uid });
+      return adapter.insert('drafts', { ...draft, authorId: actor.uid, id: draft.id || generateId(), updatedAt });
+    },
+    deleteDraft: async (draftId) => {
+      const [draft] = await adapter.list('drafts', { id: draftId });
+      if (!draft) return;
+      authorize(currentUserRef.current, 'draft.write', draft);
+      await adapter.remove('drafts', { id: draftId });
+    },
+    // Deletes the draft along with any images uploaded for it that no post or revision uses.
+    // `draft` may carry newer images than the stored copy, e.g. the editor's current ones.
+    discardDraft: async (draft) => {
+      const [stored] = await adapter.list('drafts', { id: draft.id });
+      if (stored) authorize(currentUserRef.current, 'draft.write', stored);
+      await adapter.remove('drafts', { id: draft.id });
+      const inUse = new Set();
+      if (draft.postId) {
+        const [post] = await adapter.list('posts', { id: draft.postId });
+        const revisions = await adapter.list('revisions', { postId: draft.postId });
+        [post, ...revisions].filter(Boolean).forEach(p => (p.images || []).forEach(img => inUse.add(img.imageId)));
+      }
+      // Only the draft author's own uploads, in case `draft` names someone else's images
+      const uid = currentUserRef.current.uid;
+      for (const { imageId } of (draft.images || []).filter(img => img.imageId && !inUse.has(img.imageId))) {
+        await adapter.remove('images', { id: imageId, ownerId: uid });
+      }
+    },
+
+    // Images
+    uploadImage: async (file) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'image.upload');
+      const processed = await processImageFile(file);
+      const image = { ...processed, id: generateId(), ownerId: actor.uid, createdAt: new Date().toISOString() };
+      const saved = await adapter.insert('images', image);
+      setImages(prev => ({ ...prev, [saved.id]: saved }));
+      return saved;
+    },
+    deleteImage: async (imageId) => {
+      const [image] = await adapter.list('images', { id: imageId });
+      if (!image) return;
+      authorize(currentUserRef.current, 'image.delete', image);
+      await adapter.remove('images', { id: imageId });
+      setImages(prev => ({ ...prev, [imageId]: null }));
+    },
+    loadImage: (imageId) => {
+      // Share one request between every component showing the same image
+      if (!imageRequestsRef.current[imageId]) {
+        imageRequestsRef.current[imageId] = adapter.list('images', { id: imageId }).then(([image]) => {
+          setImages(prev => ({ ...prev, [imageId]: image || null }));
+          return image || null;
+        }).catch(err => {
+          delete imageRequestsRef.current[imageId];
+          throw err;
+        });
+      }
+      return imageRequestsRef.current[imageId];
+    },
+
+    // Comments
+    getComments: async (postId) => {
+      // Queued edits only touch comments that are here; queued comments may be on other posts
+      const queued = readStoredList(LS_OUTBOX).filter(e => !e.record || e.record.postId === postId);
+      const postComments = withPendingWrites(await adapter.list('comments', { postId }), queued, currentUidRef.current, 'comments');
+      commentsRef.current.filter(c => c.postId === postId).forEach(c => searchIndex.remove('comment', c.id));
+      postComments.forEach(comment => indexComment(searchIndex, comment));
+      setComments(prev => [...prev.filter(c => c.postId !== postId), ...postComments]);
+      return postComments.sort(byNewest);
+    },
+    // As with posts, new comments and edits go through the outbox, and the
+    // author is always the logged-in user
+    addComment: async (comment) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'comment.create');
+      // parentId is null for top-level comments, or the id of the comment being replied to
+      const createdAt = new Date().toISOString();
+      const newComment = {
+        parentId: null,
+        ...comment,
+        authorId: actor.uid,
+        authorName: actor.displayName,
+        id: generateId(),
+        createdAt,
+        updatedAt: createdAt,
+        reactions: {},
+        version: 1,
+      };
+      queueWrite({ type: 'addComment', collection: 'comments', recordId: newComment.id, record: newComment });
+      indexComment(searchIndex, newComment);
+      setComments(prev => [...prev, newComment]);
+      return newComment;
+    },
+    updateComment: async (commentId, text) => {
+      const previous = commentsRef.current.find(c => c.id === commentId);
+      if (!previous || previous.deleted) throw new Error("Comment not found");
+      authorize(currentUserRef.current, 'comment.update', previous);
+      queueWrite({
+        type: 'updateComment',
+        collection: 'comments',
+        recordId: commentId,
+        patch: { text },
+        base: { text: previous.text },
+        baseVersion: versionOf(previous),
+      });
+      const editedAt = new Date().toISOString();
+      const saved = { ...previous, text, editedAt, updatedAt: editedAt, version: versionOf(previous) + 1 };
+      indexComment(searchIndex, saved);
+      setComments(prev => prev.map(c => c.id === commentId ? saved : c));
+      return saved;
+    },
+    deleteComment: async (commentId) => {
+      const allComments = commentsRef.current;
+      const comment = allComments.find(c => c.id === commentId);
+      if (!comment) throw new Error("Comment not found");
+      const post = postsRef.current.find(p => p.id === comment.postId);
+      authorize(currentUserRef.current, 'comment.delete', { comment, post });
+
+      // A comment that hasn't been sent yet can only have unsent replies of our own, which go with it
+      if (findQueuedInsert(readStoredList(LS_OUTBOX), commentId, currentUidRef.current)) {
+        const unsentIds = [commentId];
+        for (let i = 0; i < unsentIds.length; i++) {
+          allComments.filter(c => c.parentId === unsentIds[i]).forEach(c => unsentIds.push(c.id));
+        }
+        dropQueuedWrites(unsentIds);
+        unsentIds.forEach(id => forgetRecord('comments', id));
+        return;
+      }
+      dropQueuedWrites([commentId]);
+
+      // A comment with replies becomes a tombstone so the thread stays intact
+      if (allComments.some(c => c.parentId === commentId)) {
+        const saved = await adapter.update('comments', commentId, { deleted: true, text: '', authorId: null, authorName: null });
+        indexComment(searchIndex, saved);
+        setComments(prev => prev.map(c => c.id === commentId ? saved : c));
+        return;
+      }
+
+      // Otherwise remove it, along with any tombstones it was the last reply to
+      const removedIds = [commentId];
+      const hasRemainingReplies = (id) => allComments.some(c => c.parentId === id && !removedIds.includes(c.id));
+      let parent = allComments.find(c => c.id === comment.parentId);
+      while (parent && parent.deleted && !hasRemainingReplies(parent.id)) {
+        removedIds.push(parent.id);
+        const grandparentId = parent.parentId;
+        parent = allComments.find(c => c.id === grandparentId);
+      }
+      for (const id of removedIds) {
+        await adapter.remove('comments', { id });
+        await adapter.remove('notifications', { commentId: id });
+        searchIndex.remove('comment', id);
+      }
+      setComments(prev => prev.filter(c => !removedIds.includes(c.id)));
+    },
+
+    // Messages
+    // Re-reads the logged-in user's messages, e.g. when opening the inbox; the
+    // REST adapter doesn't tell us about new ones
+    refreshMessages: async () => {
+      const uid = currentUidRef.current;
+      if (!uid) return;
+      const [storedMessages, storedBlocks] = await Promise.all([listOwnRecords('messages', uid), listOwnRecords('blocks', uid)]);
+      setMessages(storedMessages);
+      setBlocks(storedBlocks);
+    },
+    sendMessage: async (recipientId, text) => {
+      const actor = currentUserRef.current;
+      const body = text.trim();
+      if (!body) throw new Error("Message cannot be empty");
+      if (body.length > MAX_MESSAGE_LENGTH) throw new Error(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+      // Check the stored blocks rather than ours, which may miss one made elsewhere
+      const [blockedBy, blocking] = actor ? await Promise.all([
+        adapter.list('blocks', { blockerId: recipientId, blockedId: actor.uid }),
+        adapter.list('blocks', { blockerId: actor.uid, blockedId: recipientId }),
+      ]) : [[], []];
+      authorize(actor, 'message.send', { recipientId, blocked: blockedBy.length > 0 || blocking.length > 0 });
+      const saved = await adapter.insert('messages', {
+        id: generateId(),
+        conversationId: conversationIdFor(actor.uid, recipientId),
+        senderId: actor.uid,
+        recipientId,
+        text: body,
+        createdAt: new Date().toISOString(),
+        readAt: null,
+      });
+      setMessages(prev => [...prev, saved]);
+      return saved;
+    },
+    markConversationRead: async (otherUid) => {
+      const actor = currentUserRef.current;
+      const stored = await adapter.list('messages', { conversationId: conversationIdFor(actor.uid, otherUid), recipientId: actor.uid });
+      const readAt = new Date().toISOString();
+      const saved = await Promise.all(stored.filter(m => !m.readAt).map(message => {
+        authorize(actor, 'message.read', message);
+        return adapter.update('messages', message.id, { readAt });
+      }));
+      setMessages(prev => prev.map(m => saved.find(s => s.id === m.id) || m));
+    },
+    // Blocking stops messages both ways until it is lifted
+    blockUser: async (uid) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'block.write', { blockerId: actor && actor.uid });
+      if (uid === actor.uid) throw new Error("You can't block yourself");
+      const [existing] = await adapter.list('blocks', { blockerId: actor.uid, blockedId: uid });
+      if (existing) return existing;
+      const saved = await adapter.insert('blocks', { id: generateId(), blockerId: actor.uid, blockedId: uid, createdAt: new Date().toISOString() });
+      setBlocks(prev => [...prev, saved]);
+      return saved;
+    },
+    unblockUser: async (uid) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'block.write', { blockerId: actor && actor.uid });
+      await adapter.remove('blocks', { blockerId: actor.uid, blockedId: uid });
+      setBlocks(prev => prev.filter(b => !(b.blockerId === actor.uid && b.blockedId === uid)));
+    },
+
+    // Bookmarks
+    // Saves a post for the logged-in user, or unsaves it if it already is.
+    // Returns whether the post is saved now.
+    toggleBookmark: async (postId) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'bookmark.write', { userId: actor && actor.uid });
+      const [existing] = await adapter.list('bookmarks', { userId: actor.uid, postId });
+      if (existing) {
+        await adapter.remove('bookmarks', { id: existing.id });
+        setBookmarks(prev => prev.filter(b => b.id !== existing.id));
+        return false;
+      }
+      // Our copy, which includes posts still waiting in the outbox
+      if (!postsRef.current.some(p => p.id === postId)) throw new Error("Post not found");
+      const saved = await adapter.insert('bookmarks', {
+        id: generateId(),
+        userId: actor.uid,
+        postId,
+        collectionId: null,
+        createdAt: new Date().toISOString(),
+      });
+      setBookmarks(prev => [...prev, saved]);
+      return true;
+    },
+    removeBookmark: async (bookmarkId) => {
+      const [bookmark] = await adapter.list('bookmarks', { id: bookmarkId });
+      if (bookmark) {
+        authorize(currentUserRef.current, 'bookmark.write', bookmark);
+        await adapter.remove('bookmarks', { id: bookmarkId });
+      }
+      setBookmarks(prev => prev.filter(b => b.id !== bookmarkId));
+    },
+    // Moves a bookmark into one of the user's collections, or out of them with null
+    moveBookmark: async (bookmarkId, collectionId) => {
+      const actor = currentUserRef.current;
+      const [bookmark] = await adapter.list('bookmarks', { id: bookmarkId });
+      if (!bookmark) throw new Error("Bookmark not found");
+      authorize(actor, 'bookmark.write', bookmark);
+      if (collectionId) {
+        const [collection] = await adapter.list('bookmarkCollections', { id: collectionId });
+        if (!collection) throw new Error("Collection not found");
+        authorize(actor, 'collection.write', collection);
+      }
+      const saved = await adapter.update('bookmarks', bookmarkId, { collectionId: collectionId || null });
+      setBookmarks(prev => prev.map(b => b.id === bookmarkId ? saved : b));
+      return saved;
+    },
+    createCollection: async (name) => {
+      const actor = currentUserRef.current;
+      authorize(actor, 'collection.write', { ownerId: actor && actor.uid });
+      const stored = await adapter.list('bookmarkCollections', { ownerId: actor.uid });
+      const saved = await adapter.insert('bookmarkCollections', {
+        id: generateId(),
+        ownerId: actor.uid,
+        name: validateCollectionName(name, stored),
+        isPublic: false,
+        createdAt: new Date().toISOString(),
+      });
+      setBookmarkCollections(prev => [...prev, saved]);
+      return saved;
+    },
+    // `changes` may rename the collection and/or set `isPublic`
+    updateCollection: async (collectionId, { name, isPublic }) => {
+      const actor = currentUserRef.current;
+      const [collection] = await adapter.list('bookmarkCollections', { id: collectionId });
+      if (!collection) throw new Error("Collection not found");
+      authorize(actor, 'collection.write', collection);
+      const patch = {};
+      if (name !== undefined) {
+        const stored = await adapter.list('bookmarkCollections', { ownerId: collection.ownerId });
+        patch.name = validateCollectionName(name, stored, collectionId);
+      }
+      if (isPublic !== undefined) patch.isPublic = !!isPublic;
+      const saved = await adapter.update('bookmarkCollections', collectionId, patch);
+      setBookmarkCollections(prev => prev.map(c => c.id === collectionId ? saved : c));
+      return saved;
+    },
+    // The bookmarks in it stay saved, just no longer sorted
+    deleteCollection: async (collectionId) => {
+      const [collection] = await adapter.list('bookmarkCollections', { id: collectionId });
+      if (!collection) return;
+      authorize(currentUserRef.current, 'collection.write', collection);
+      for (const bookmark of await adapter.list('bookmarks', { collectionId })) {
+        await adapter.update('bookmarks', bookmark.id, { collectionId: null });
+      }
+      await adapter.remove('bookmarkCollections', { id: collectionId });
+      setBookmarks(prev => prev.map(b => b.collectionId === collectionId ? { ...b, collectionId: null } : b));
+      setBookmarkCollections(prev => prev.filter(c => c.id !== collectionId));
+    },
+    // Another user's public collections, each with its bookmarks, for their profile
+    listPublicCollections: async (uid) => {
+      const collections = await adapter.list('bookmarkCollections', { ownerId: uid, isPublic: true });
+      return Promise.all(collections.map(async (collection) => ({
+        ...collection,
+        bookmarks: await adapter.list('bookmarks', { collectionId: collection.id }),
+      })));
+    },
+
+    // Notifications
+    notifyFollow: (followeeId, followerId) => {
+      authorize(currentUserRef.current, 'follow.notify', { followerId });
+      return notify({ type: 'follow', recipientId: followeeId, actorId: followerId });
+    },
+    // Unfollowing takes the notification back, so following on and off doesn't spam anyone
+    retractFollow: (followeeId, followerId) => {
+      authorize(currentUserRef.current, 'follow.notify', { followerId });
+      return adapter.remove('notifications', { type: 'follow', actorId: followerId, recipientId: followeeId })
+        .catch(err => console.error("Error removing notification: ", err));
+    },
+    markNotificationsRead: async (notificationIds) => {
+      const found = await Promise.all(notificationIds.map(async (id) => {
+        const [notification] = await adapter.list('notifications', { id });
+        return notification;
+      }));
+      // Some may have been taken back since they were shown, e.g. by an unfollow
+      const goneIds = notificationIds.filter((id, i) => !found[i]);
+      const saved = await Promise.all(found.filter(Boolean).map(notification => {
+        authorize(currentUserRef.current, 'notification.update', notification);
+        return adapter.update('notifications', notification.id, { read: true });
+      }));
+      setNotifications(prev => prev
+        .filter(n => !goneIds.includes(n.id))
+        .map(n => saved.find(s => s.id === n.id) || n));
+    },
+  }), [adapter, searchIndex, notify, queueWrite, dropQueuedWrites, showRecord, forgetRecord, listOwnRecords]);
+
+  // Wake up when the next scheduled post is due
+  useEffect(() => {
+    const upcoming = posts
+      .filter(p => !isPublished(p, now))
+      .map(p => new Date(p.publishAt).getTime());
+    if (upcoming.length === 0) return;
+    // setTimeout can't wait longer than ~24.8 days; wake up and check again if needed
+    const delay = Math.min(Math.min(...upcoming) - Date.now(), 2 ** 31 - 1);
+    const timer = setTimeout(() => setNow(new Date()), Math.max(0, delay));
+    return () => clearTimeout(timer);
+  }, [posts, now]);
+
+  // --- Moderation ---
+  // Every moderator action is recorded in the audit log
+  const isModerator = can(currentUser, 'content.moderate');
+
+  // Rebuilt when the logged-in user changes, so pages reload what they may see
+  const moderation = useMemo(() => {
+    const requireModerator = () => authorize(currentUser, 'content.moderate');
+
+    const audit = (action, entry) => adapter.insert('auditLog', {
+      ...entry,
+      id: generateId(),
+      action,
+      actorId: currentUid,
+      createdAt: new Date().toISOString(),
+    });
+
+    const findContent = (targetType, targetId) =>
+      (targetType === 'post' ? postsRef.current : commentsRef.current).find(item => item.id === targetId);
+
+    // A line of context for the audit log, which outlives the content itself
+    const describeContent = (targetType, item) =>
+      item ? (targetType === 'post' ? item.title : makeExcerpt(item.text, 80)) : '';
+
+    // Marks every open report about the same content as handled
+    const closeReports = async (targetType, targetId, status) => {
+      const open = await adapter.list('reports', { targetType, targetId, status: 'open' });
+      const resolvedAt = new Date().toISOString();
+      await Promise.all(open.map(r => adapter.update('reports', r.id, { status, resolvedBy: currentUid, resolvedAt })));
+    };
+
+    return {
+      reportContent: async ({ targetType, targetId, reason, details = '' }) => {
+        authorize(currentUser, 'report.create');
+        const item = findContent(targetType, targetId);
+        if (!item) throw new Error("That content no longer exists");
+        const mine = await adapter.list('reports', { targetType, targetId, reporterId: currentUid, status: 'open' });
+        if (mine.length > 0) throw new Error("You have already reported this");
+        return adapter.insert('reports', {
+          id: generateId(),
+          targetType,
+          targetId,
+          postId: targetType === 'post' ? targetId : item.postId,
+          targetAuthorId: item.authorId,
+          reporterId: currentUid,
+          reason,
+          details: details.trim(),
+          status: 'open',
+          createdAt: new Date().toISOString(),
+        });
+      },
+      // Newest first; pass a status ('open', 'dismissed' or 'actioned') to filter
+      listReports: async (status) => {
+        requireModerator();
+        const reports = await adapter.list('reports', status ? { status } : undefined);
+        return reports.sort(byNewest);
+      },
+      dismissReport: async (report) => {
+        requireModerator();
+        await adapter.update('reports', report.id, { status: 'dismissed', resolvedBy: currentUid, resolvedAt: new Date().toISOString() });
+        await audit('report.dismiss', { targetType: report.targetType, targetId: report.targetId, reportId: report.id });
+      },
+      // Hidden content stays visible to its author and moderators only
+      setContentHidden: async (targetType, targetId, hidden) => {
+        requireModerator();
+        const collection = targetType === 'post' ? 'posts' : 'comments';
+        const saved = await adapter.update(collection, targetId, {
+          hidden: hidden ? { by: currentUid, at: new Date().toISOString() } : null,
+        });
+        showRecord(collection, saved);
+        if (hidden) await closeReports(targetType, targetId, 'actioned');
+        await audit(hidden ? 'content.hide' : 'content.unhide', {
+          targetType,
+          targetId,
+          targetAuthorId: saved.authorId,
+          summary: describeContent(targetType, saved),
+        });
+      },
+      deleteContent: async (targetType, targetId) => {
+        requireModerator();
+        const item = findContent(targetType, targetId);
+        await closeReports(targetType, targetId, 'actioned');
+        if (targetType === 'post') await actions.deletePost(targetId);
+        else await actions.deleteComment(targetId);
+        await audit('content.delete', {
+          targetType,
+          targetId,
+          targetAuthorId: item && item.authorId,
+          summary: describeContent(targetType, item),
+        });
+      },
+      // Suspending the author over a report also closes it
+      suspendAccount: async (uid, reason, report) => {
+        userAdminRef.current.suspendUser(uid, reason);
+        if (report) await closeReports(report.targetType, report.targetId, 'actioned');
+        await audit('user.suspend', { targetType: 'user', targetId: uid, summary: reason });
+      },
+      unsuspendAccount: async (uid) => {
+        userAdminRef.current.unsuspendUser(uid);
+        await audit('user.unsuspend', { targetType: 'user', targetId: uid });
+      },
+      changeRole: async (uid, role) => {
+        userAdminRef.current.setUserRole(uid, role);
+        await audit('user.role', { targetType: 'user', targetId: uid, summary: role });
+      },
+      listAuditLog: async () => {
+        authorize(currentUser, 'admin.access');
+        const entries = await adapter.list('auditLog');
+        return entries.sort(byNewest);
+      },
+    };
+  }, [adapter, currentUser, currentUid, actions, showRecord]);
+
+  // --- Account data, export and import ---
+  const accountData = useMemo(() => {
+    const requireAdmin = () => authorize(currentUser, 'admin.access');
+
+    const handlers = {
+      // Everything a user has written or liked, for "Download my data"
+      exportUserData: async (profile) => {
+        authorize(currentUser, 'user.export', profile);
+        const [allPosts, allComments, drafts] = await Promise.all([
+          adapter.list('posts'),
+          adapter.list('comments'),
+          adapter.list('drafts', { authorId: profile.uid }),
+        ]);
+        return {
+          exportedAt: new Date().toISOString(),
+          profile,
+          posts: allPosts.filter(p => p.authorId === profile.uid),
+          comments: allComments.filter(c => c.authorId === profile.uid && !c.deleted),
+          drafts,
+          messages: await listOwnRecords('messages', profile.uid),
+          blocks: await adapter.list('blocks', { blockerId: profile.uid }),
+          bookmarks: await adapter.list('bookmarks', { userId: profile.uid }),
+          bookmarkCollections: await adapter.list('bookmarkCollections', { ownerId: profile.uid }),
+          reactions: [
+            ...allPosts.map(item => ({ targetType: 'post', item })),
+            ...allComments.map(item => ({ targetType: 'comment', item })),
+          ]
+            .filter(({ item }) => (item.reactions || {})[profile.uid])
+            .map(({ targetType, item }) => ({ targetType, targetId: item.id, ...item.reactions[profile.uid] })),
+        };
+      },
+      // `mode` is 'delete' to remove the user's posts, comments and messages, or 'anonymise'
+      // to keep them under DELETED_USER_NAME. Reactions, drafts, blocks, bookmarks and
+      // notifications always go.
+      eraseUserContent: async (uid, mode) => {
+        authorize(currentUser, 'user.erase', { target: users.find(u => u.uid === uid) || { uid }, users });
+        const allPosts = await adapter.list('posts');
+        for (const collection of ['posts', 'comments']) {
+          const items = collection === 'posts' ? allPosts : await adapter.list('comments');
+          for (const item of items.filter(i => (i.reactions || {})[uid])) {
+            const reactions = { ...item.reactions };
+            delete reactions[uid];
+            await adapter.update(collection, item.id, { reactions });
+          }
+        }
+
+        if (mode === 'delete') {
+          for (const post of allPosts.filter(p => p.authorId === uid)) {
+            await actions.deletePost(post.id);
+          }
+          // Comments on their own posts went with the posts
+          for (const comment of await adapter.list('comments', { authorId: uid })) {
+            await actions.deleteComment(comment.id);
+          }
+        } else {
+          const anonymous = { authorId: null, authorName: DELETED_USER_NAME };
+          for (const post of allPosts.filter(p => p.authorId === uid)) {
+            await adapter.update('posts', post.id, anonymous);
+          }
+          for (const comment of await adapter.list('comments', { authorId: uid })) {
+            await adapter.update('comments', comment.id, anonymous);
+          }
+        }
+
+        for (const draft of await adapter.list('drafts', { authorId: uid })) {
+          await actions.discardDraft(draft);
+        }
+        await adapter.remove('notifications', { recipientId: uid });
+        await adapter.remove('notifications', { actorId: uid });
+        // Conversations need both people, so they go whichever way the content goes
+        if (mode === 'delete') {
+          await adapter.remove('messages', { senderId: uid });
+          await adapter.remove('messages', { recipientId: uid });
+        }
+        await adapter.remove('blocks', { blockerId: uid });
+        await adapter.remove('blocks', { blockedId: uid });
+        await adapter.remove('bookmarks', { userId: uid });
+        await adapter.remove('bookmarkCollections', { ownerId: uid });
+        // Changes they made on this device that never went out
+        updateOutbox(entries => entries.filter(e => e.actorId !== uid));
+        await reload();
+      },
+      // Posts and comments for an admin export; users come from AuthProvider
+      exportContent: async () => {
+        requireAdmin();
+        const [allPosts, allComments] = await Promise.all([adapter.list('posts'), adapter.list('comments')]);
+        return { posts: allPosts, comments: allComments };
+      },
+      // Which imported posts and comments are new and which clash with stored ids
+      planContentImport: async (data) => {
+        const plan = {};
+        for (const collection of ['posts', 'comments']) {
+          const storedIds = new Set((await adapter.list(collection)).map(r => r.id));
+          plan[collection] = {
+            added: data[collection].filter(r => !storedIds.has(r.id)),
+            conflicts: data[collection].filter(r => storedIds.has(r.id)),
+          };
+        }
+        return plan;
+      },
+      // `mode` is 'skip' to keep stored records on an id clash, or 'overwrite' to replace them
+      importContent: async (data, mode) => {
+        requireAdmin();
+        const plan = await handlers.planContentImport(data);
+        const counts = {};
+        for (const collection of ['posts', 'comments']) {
+          for (const record of plan[collection].added) {
+            await adapter.insert(collection, record);
+          }
+          if (mode === 'overwrite') {
+            for (const record of plan[collection].conflicts) {
+              await adapter.update(collection, record.id, record);
+            }
+          }
+          counts[collection] = {
+            added: plan[collection].added.length,
+            replaced: mode === 'overwrite' ? plan[collection].conflicts.length : 0,
+          };
+        }
+        await reload();
+        return counts;
+      },
+    };
+    return handlers;
+  }, [adapter, currentUser, users, actions, listOwnRecords, updateOutbox, reload]);
+
+  // --- Sync ---
+  // The current user's queued writes, and what the sync indicator shows for them
+  const myOutbox = outbox.filter(e => e.actorId === currentUid);
+  const syncStatus = myOutbox.some(e => e.status !== 'pending') ? 'error'
+    : syncing ? 'syncing'
+    : myOutbox.length > 0 ? 'pending'
+    : 'synced';
+
+  const findQueuedWrite = (entryId) => {
+    const entry = myOutbox.find(e => e.id === entryId);
+    if (!entry) throw new Error("That change has already been sent or discarded");
+    return entry;
+  };
+
+  const sync = {
+    // Sends everything waiting now, including writes that failed outright
+    retrySync: () => {
+      const now = new Date().toISOString();
+      updateOutbox(entries => entries.map(e =>
+        e.actorId === currentUid && e.status !== 'conflict' ? { ...e, status: 'pending', nextAttemptAt: now, error: null } : e
+      ));
+      return flushOutbox();
+    },
+    // Queues `patch` again, this time as an edit of the record that is stored now
+    resolveConflict: (entryId, patch) => {
+      const entry = findQueuedWrite(entryId);
+      const current = entry.conflict && entry.conflict.current;
+      if (!current) throw new Error("There is nothing left to merge with");
+      updateOutbox(entries => entries.map(e => e.id === entryId ? {
+        ...e,
+        patch,
+        base: Object.fromEntries(Object.keys(patch).map(field => [field, current[field]])),
+        baseVersion: versionOf(current),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        error: null,
+        conflict: null,
+      } : e));
+      showRecord(entry.collection, current);
+      return flushOutbox();
+    },
+    // Gives up on a queued write and shows the stored record again
+    discardWrite: async (entryId) => {
+      const entry = findQueuedWrite(entryId);
+      updateOutbox(entries => entries.filter(e => e.id !== entryId));
+      const [stored] = await adapter.list(entry.collection, { id: entry.recordId });
+      if (stored) showRecord(entry.collection, stored);
+      else forgetRecord(entry.collection, entry.recordId);
+    },
+  };
+
+  // Sort a copy once per change instead of the state array on every render
+  const sortedPosts = useMemo(() => [...posts].sort(byNewestStable), [posts]);
+  // Everything published, plus the current user's own scheduled posts. Hidden
+  // posts are left to their author and moderators.
+  const visiblePosts = useMemo(
+    () => sortedPosts.filter(p =>
+      (isPublished(p, now) || p.authorId === currentUid) && (!p.hidden || p.authorId === currentUid || isModerator)
+    ),
+    [sortedPosts, now, currentUid, isModerator]
+  );
+  const conversations = useMemo(() => groupConversations(messages, currentUid), [messages, currentUid]);
+  // The feed never shows scheduled or hidden posts, not even to their author
+  const publishedPosts = useMemo(() => sortedPosts.filter(p => isPublished(p, now) && !p.hidden), [sortedPosts, now]);
+
+  const db = {
+    ...actions,
+    ...moderation,
+    ...accountData,
+    ...sync,
+    getPost: (postId) => visiblePosts.find(p => p.id === postId),
+    // One page of the feed, newest first, starting after `cursor`
+    listPosts: ({ cursor, limit = FEED_PAGE_SIZE, authorId, authorIds, tag } = {}) => {
+      const after = cursor ? fromCursor(cursor) : null;
+      const matching = publishedPosts.filter(p =>
+        matchesFilter(p, { authorId, authorIds, tag }) && (!after || byNewestStable(p, after) > 0)
+      );
+      const page = matching.slice(0, limit);
+      return {
+        posts: page,
+        nextCursor: matching.length > limit ? toCursor(page[page.length - 1]) : null,
+      };
+    },
+    // How many matching posts are newer than `cursor` (all of them if there is no cursor)
+    countPostsSince: ({ cursor, authorId, authorIds, tag } = {}) => {
+      const since = cursor ? fromCursor(cursor) : null;
+      return publishedPosts.filter(p =>
+        matchesFilter(p, { authorId, authorIds, tag }) && (!since || byNewestStable(p, since) < 0)
+      ).length;
+    },
+    // Most active tags among published posts; see rankTrendingTags
+    trendingTags: (now, options) => rankTrendingTags(publishedPosts, now, options),
+    // Ranked matches across posts, comments and users; see createSearchIndex
+    search: (query, filters) => searchIndex.search(query, filters).filter(result => {
+      if (result.type === 'post') return visiblePosts.some(p => p.id === result.id);
+      if (result.type === 'comment') {
+        const comment = comments.find(c => c.id === result.id);
+        return visiblePosts.some(p => p.id === result.postId) &&
+          !(comment && comment.hidden && comment.authorId !== currentUid && !isModerator);
+      }
+      return true;
+    }),
+    loading,
+    loadError,
+    reload,
+    posts: visiblePosts,
+    comments,
+    images,
+    notifications,
+    outbox: myOutbox,
+    syncStatus,
+    online,
+    isQueued: (recordId) => myOutbox.some(e => e.recordId === recordId && e.status === 'pending'),
+    isUnsent: (recordId) => !!findQueuedInsert(myOutbox, recordId, currentUid),
+    conversations,
+    unreadMessageCount: conversations.reduce((total, c) => total + c.unread, 0),
+    getConversation: (otherUid) => conversations.find(c => c.otherUid === otherUid) || null,
+    isBlocking: (uid) => blocks.some(b => b.blockerId === currentUid && b.blockedId === uid),
+    isBlockedBy: (uid) => blocks.some(b => b.blockerId === uid && b.blockedId === currentUid),
+    bookmarks,
+    bookmarkCollections,
+    isBookmarked: (postId) => bookmarks.some(b => b.postId === postId),
+  };
+
+  return <DatabaseContext.Provider value={db}>{children}</DatabaseContext.Provider>;
+};
+
+// --- Router ---
+// Routes are matched in order, so fixed segments must come before params
+const ROUTES = [
+  { name: 'home', path: '/' },
+  { name: 'createPost', path: '/posts/new', requiresAuth: true },
+  { name: 'postDetail', path: '/posts/:id' },
+  { name: 'editPost', path: '/posts/:id/edit', requiresAuth: true },
+  { name: 'postHistory', path: '/posts/:id/history' },
+  { name: 'tag', path: '/tags/:tag' },
+  { name: 'profile', path: '/users/:uid' },
+  { name: 'login', path: '/login' },
+  { name: 'signup', path: '/signup' },
+  { name: 'forgotPassword', path: '/forgot-password' },
+  { name: 'resetPassword', path: '/reset-password' },
+  { name: 'verifyEmail', path: '/verify-email' },
+  { name: 'mailOutbox', path: '/dev/mail' },
+  { name: 'search', path: '/search' },
+  { name: 'notifications', path: '/notifications', requiresAuth: true },
+  { name: 'saved', path: '/saved', requiresAuth: true },
+  { name: 'sync', path: '/sync', requiresAuth: true },
+  { name: 'inbox', path: '/messages', requiresAuth: true },
+  { name: 'conversation', path: '/messages/:uid', requiresAuth: true },
+  { name: 'moderation', path: '/moderation', requiresAuth: true },
+  { name: 'admin', path: '/admin', requiresAuth: true },
+];
+
+// Returns the params of a matching path, or null
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch (err) {
+        // A malformed escape like "%E0" can't name anything; let it fall through to "not found"
+        return null;
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+const matchRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const params = matchPath(route.path, pathname);
+    if (params) return { ...route, params };
+  }
+  return null;
+};
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+const RouterContext = createContext();
+
+const useRouter = () => useContext(RouterContext);
+
+const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+
+  // Keep in step with the browser's back/forward buttons
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    if (replace) {
+      window.history.replaceState(null, '', to);
+    } else {
+      window.history.pushState(null, '', to);
+    }
+    setLocation(readLocation());
+    window.scrollTo(0, 0);
+  }, []);
+
+  const router = {
+    location,
+    route: matchRoute(location.pathname),
+    query: new URLSearchParams(location.search),
+    navigate,
+  };
+
+  return <RouterContext.Provider value={router}>{children}</RouterContext.Provider>;
+};
+
+/**
+ * In-app link that navigates without a full page load
+ */
+const Link = ({ to, children, ...props }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    // Let the browser handle new-tab and other modified clicks
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return <a href={to} onClick={handleClick} {...props}>{children}</a>;
+};
+
+/**
+ * Route guard that sends logged-out visitors to the login page
+ */
+const RequireAuth = ({ children }) => {
+  const { currentUser, authLoading } = useAuth();
+  const { location, navigate } = useRouter();
+
+  useEffect(() => {
+    if (!authLoading && !currentUser) {
+      const next = encodeURIComponent(location.pathname + location.search);
+      navigate(`/login?next=${next}`, { replace: true });
+    }
+  }, [authLoading, currentUser, location, navigate]);
+
+  if (!currentUser) return <p>Checking your session...</p>;
+  return children;
+};
+
+// --- Sub-Components ---
+
+/**
+ * Navigation Bar Component
+ */
+const SYNC_LABELS = {
+  pending: { key: 'sync.waiting', className: 'text-yellow-300' },
+  syncing: { key: 'sync.syncing', className: 'text-blue-300' },
+  error: { key: 'sync.problem', className: 'text-red-400 font-semibold' },
+};
+
+/**
+ * Shows whether the current user's changes have reached the server, linking to
+ * the Sync page. Nothing is shown once everything is saved.
+ */
+const SyncStatus = () => {
+  const { syncStatus, outbox, online } = useDatabase();
+  const { t } = useLocale();
+  if (syncStatus === 'synced') return online ? null : <span className="text-gray-400 text-sm">{t('sync.offline')}</span>;
+  const { key, className } = SYNC_LABELS[syncStatus];
+  return (
+    <Link to="/sync" className={`text-sm hover:underline ${className}`}>
+      {!online && `${t('sync.offline')} · `}{t(key, { count: outbox.length })}
+    </Link>
+  );
+};
+
+const Navigation = () => {
+  const { currentUser, logout } = useAuth();
+  const { notifications, unreadMessageCount } = useDatabase();
+  const { navigate } = useRouter();
+  const { t } = useLocale();
+  const unreadCount = notifications.filter(n => !n.read).length;
+  const [searchText, setSearchText] = useState('');
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (searchText.trim() === '') return;
+    navigate(`/search?q=${encodeURIComponent(searchText.trim())}`);
+    setSearchText('');
+  };
+
+  return (
+    <nav className="bg-gray-800 shadow-md">
+      <div className="container mx-auto px-4 py-4 flex justify-between items-center">
+        <Link to="/" className="text-2xl font-bold text-white">
+          {t('app.name')}
+        </Link>
+        <div className="flex items-center space-x-4 rtl:space-x-reverse">
+          <form onSubmit={handleSearch} role="search">
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder={t('nav.searchPlaceholder')}
+              aria-label={t('nav.search')}
+              className="p-2 bg-gray-700 rounded-lg text-white w-40 md:w-56"
+            />
+          </form>
+          <Link to="/" className="text-gray-300 hover:text-white">
+            {t('nav.feed')}
+          </Link>
+          {currentUser ? (
+            <>
+              <SyncStatus />
+              <Link to="/saved" aria-label={t('nav.saved')} title={t('nav.saved')} className="text-gray-300 hover:text-white text-xl">
+                <span aria-hidden="true">🔖</span>
+              </Link>
+              <Link
+                to="/messages"
+                aria-label={unreadMessageCount ? t('nav.messagesUnread', { count: unreadMessageCount }) : t('nav.messages')}
+                className="relative text-gray-300 hover:text-white text-xl"
+              >
+                <span aria-hidden="true">✉️</span>
+                {unreadMessageCount > 0 && (
+                  <span className="absolute -top-2 -right-3 bg-red-500 text-white text-xs font-bold rounded-full px-1.5">
+                    {unreadMessageCount > 99 ? '99+' : unreadMessageCount}
+                  </span>
+                )}
+              </Link>
+              <Link
+                to="/notifications"
+                aria-label={unreadCount ? t('nav.notificationsUnread', { count: unreadCount }) : t('nav.notifications')}
+                className="relative text-gray-300 hover:text-white text-xl"
+              >
+                <span aria-hidden="true">🔔</span>
+                {unreadCount > 0 && (
+                  <span className="absolute -top-2 -right-3 bg-red-500 text-white text-xs font-bold rounded-full px-1.5">
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
+              </Link>
+              {can(currentUser, 'content.moderate') && (
+                <Link to="/moderation" className="text-gray-300 hover:text-white">{t('nav.moderation')}</Link>
+              )}
+              {can(currentUser, 'admin.access') && (
+                <Link to="/admin" className="text-gray-300 hover:text-white">{t('nav.admin')}</Link>
+              )}
+              <Link to={`/users/${currentUser.uid}`} className="text-gray-300 hover:text-white">
+                {t('nav.greeting', { name: currentUser.displayName || t('nav.defaultName') })}
+              </Link>
+              <button onClick={() => { logout(); navigate('/'); }} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold">
+                {t('nav.logout')}
+              </button>
+            </>
+          ) : (
+            <>
+              <Link to="/login" className="text-gray-300 hover:text-white">
+                {t('nav.login')}
+              </Link>
+              <Link to="/signup" className="text-gray-300 hover:text-white">
+                {t('nav.signup')}
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+/**
+ * Login Form Component
+ */
+const Login = ({ setError }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const { login } = useAuth();
+  const { query, navigate } = useRouter();
+  const { t } = useLocale();
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await login(email, password);
+      // Only follow in-app redirects
+      const next = query.get('next');
+      navigate(next && next.startsWith('/') && !next.startsWith('//') ? next : '/', { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6 text-center">{t('login.title')}</h2>
+      <form onSubmit={handleLogin} className="space-y-4">
+        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('login.email')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('login.password')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+        <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold">
+          {t('login.submit')}
+        </button>
+      </form>
+      <p className="text-center mt-4">
+        <Link to="/forgot-password" className="text-blue-400 hover:underline">{t('login.forgot')}</Link>
+      </p>
+      <p className="text-gray-400 text-center mt-2">
+        {t('login.noAccount', { link: <Link to="/signup" className="text-blue-400 hover:underline">{t('login.signupLink')}</Link> })}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Sign Up Form Component
+ */
+const SignUp = ({ setError }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const { signup } = useAuth();
+  const { navigate } = useRouter();
+  const { t } = useLocale();
+
+  const handleSignUp = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await signup(email, password, displayName);
+      navigate('/', { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6 text-center">{t('signup.title')}</h2>
+      <form onSubmit={handleSignUp} className="space-y-4">
+        <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder={t('signup.displayName')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('signup.email')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('signup.password', { count: MIN_PASSWORD_LENGTH })} minLength={MIN_PASSWORD_LENGTH} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+        <button type="submit" className="w-full bg-green-500 hover:bg-green-600 text-white py-3 rounded-lg font-semibold">
+          {t('signup.submit')}
+        </button>
+      </form>
+      <p className="text-gray-400 text-center mt-4">
+        {t('signup.haveAccount', { link: <Link to="/login" className="text-blue-400 hover:underline">{t('signup.loginLink')}</Link> })}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * "Forgot password" form: mails a single-use reset link to the account's address
+ */
+const ForgotPassword = ({ setError }) => {
+  const { requestPasswordReset, mailbox } = useAuth();
+  const { t } = useLocale();
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSending(true);
+    try {
+      await requestPasswordReset(email);
+      setSentTo(email.trim());
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6 text-center">{t('forgot.title')}</h2>
+      {sentTo ? (
+        <div className="space-y-4 text-gray-300">
+          <p>{t('forgot.sent', { email: sentTo, count: PASSWORD_RESET_TTL_MS / 60000 })}</p>
+          {mailbox && <p><Link to="/dev/mail" className="text-blue-400 hover:underline">{t('mailbox.open')}</Link></p>}
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-gray-400">{t('forgot.intro')}</p>
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('login.email')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+          <button type="submit" disabled={sending} className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold disabled:opacity-50">
+            {sending ? t('forgot.sending') : t('forgot.submit')}
+          </button>
+        </form>
+      )}
+      <p className="text-gray-400 text-center mt-4">
+        <Link to="/login" className="text-blue-400 hover:underline">{t('forgot.back')}</Link>
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Sets a new password from the token in a reset link
+ */
+const ResetPassword = ({ setError }) => {
+  const { resetPassword } = useAuth();
+  const { query, navigate } = useRouter();
+  const { t } = useLocale();
+  const [token] = useState(() => query.get('token'));
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (password !== confirmation) {
+      setError(t('common.passwordMismatch'));
+      return;
+    }
+    setSaving(true);
+    try {
+      await resetPassword(token, password);
+      setDone(true);
+      // The token is spent; keep it out of the address bar and history
+      navigate('/reset-password', { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const card = (content) => (
+    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6 text-center">{t('reset.title')}</h2>
+      {content}
+    </div>
+  );
+
+  if (done) {
+    return card(
+      <p className="text-gray-300">
+        {t('reset.done')} <Link to="/login" className="text-blue-400 hover:underline">{t('reset.login')}</Link>
+      </p>
+    );
+  }
+  if (!token) {
+    return card(
+      <p className="text-gray-300">
+        {t('reset.missingToken')} <Link to="/forgot-password" className="text-blue-400 hover:underline">{t('reset.requestNew')}</Link>
+      </p>
+    );
+  }
+  return card(
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('common.newPassword', { count: MIN_PASSWORD_LENGTH })} minLength={MIN_PASSWORD_LENGTH} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+      <input type="password" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} placeholder={t('common.confirmPassword')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+      <button type="submit" disabled={saving} className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold disabled:opacity-50">
+        {saving ? t('common.saving') : t('reset.submit')}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Landing page for the link in a verification email
+ */
+const VerifyEmail = () => {
+  const { verifyEmail } = useAuth();
+  const { query, navigate } = useRouter();
+  const { t } = useLocale();
+  const [token] = useState(() => query.get('token'));
+  const [result, setResult] = useState(token ? null : { error: t('verify.missingToken') });
+  const startedRef = useRef(false);
+
+  // Tokens are single-use, so never try the same one twice
+  useEffect(() => {
+    if (!token || startedRef.current) return;
+    startedRef.current = true;
+    verifyEmail(token)
+      .then(email => setResult({ email }))
+      .catch(err => setResult({ error: err.message }))
+      .finally(() => navigate('/verify-email', { replace: true }));
+  }, [token, verifyEmail, navigate]);
+
+  return (
+    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6 text-center">{t('verify.title')}</h2>
+      {!result && <p className="text-gray-400">{t('verify.checking')}</p>}
+      {result && result.email && <p className="text-gray-300">{t('verify.done', { email: result.email })}</p>}
+      {result && result.error && <p className="text-red-400">{result.error}</p>}
+      <p className="text-center mt-4">
+        <Link to="/" className="text-blue-400 hover:underline">{t('verify.continue')}</Link>
+      </p>
+    </div>
+  );
+};
+
+/**
+ * A time shown relative to now ("5 minutes ago"), kept up to date, with the
+ * full date and time on hover
+ */
+const Timestamp = ({ value, className }) => {
+  const { formatTimestamp, formatRelativeTime } = useLocale();
+  const now = useNow();
+  if (!value) return null;
+  return <time dateTime={value} title={formatTimestamp(value)} className={className}>{formatRelativeTime(value, now)}</time>;
+};
+
+/**
+ * User avatar image, falling back to the first letter of their name
+ */
+const Avatar = ({ user, size = 'w-10 h-10' }) => {
+  const [failed, setFailed] = useState(false);
+
+  if (user.avatarUrl && !failed) {
+    return <img src={user.avatarUrl} alt={user.displayName} onError={() => setFailed(true)} className={`${size} rounded-full object-cover`} />;
+  }
+  return (
+    <div className={`${size} rounded-full bg-gray-600 flex items-center justify-center font-bold text-white`}>
+      {(user.displayName || '?').charAt(0).toUpperCase()}
+    </div>
+  );
+};
+
+/**
+ * Author name linking to their profile. The name comes from the user record so
+ * renames show up everywhere; the copy stored on the post/comment is a fallback.
+ */
+const AuthorLink = ({ authorId, fallbackName, className = 'text-blue-400 hover:underline', withMessage = false }) => {
+  const { getUser } = useAuth();
+  const user = getUser(authorId);
+
+  if (!user) return <span className={className}>{fallbackName}</span>;
+  const link = <Link to={`/users/${authorId}`} className={className}>{user.displayName}</Link>;
+  if (!withMessage) return link;
+  return <>{link} <MessageButton uid={authorId} compact /></>;
+};
+
+/**
+ * Opens a conversation with another user. Hidden for yourself and when logged out.
+ */
+const MessageButton = ({ uid, compact = false }) => {
+  const { currentUser, getUser } = useAuth();
+  const { t } = useLocale();
+  if (!currentUser || currentUser.uid === uid || !getUser(uid)) return null;
+  const className = compact
+    ? 'text-xs text-gray-400 hover:text-white border border-gray-600 rounded px-1.5 py-0.5'
+    : 'bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold';
+  return <Link to={`/messages/${uid}`} className={className}>{t('profile.message')}</Link>;
+};
+
+/**
+ * Renders the inline nodes produced by parseInline
+ */
+const MarkdownInline = ({ nodes }) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'code':
+      return <code key={i} className="bg-gray-900 text-pink-300 px-1 rounded">{node.text}</code>;
+    case 'strong':
+      return <strong key={i}><MarkdownInline nodes={node.children} /></strong>;
+    case 'em':
+      return <em key={i}><MarkdownInline nodes={node.children} /></em>;
+    case 'link': {
+      const href = safeUrl(node.url);
+      if (!href) return <MarkdownInline key={i} nodes={node.children} />;
+      return (
+        <a key={i} href={href} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-400 hover:underline">
+          <MarkdownInline nodes={node.children} />
+        </a>
+      );
+    }
+    case 'image': {
+      const src = safeUrl(node.url);
+      if (!src) return node.alt;
+      return <img key={i} src={src} alt={node.alt} className="max-w-full rounded-lg my-2 inline-block" />;
+    }
+    default:
+      return node.text;
+  }
+});
+
+/**
+ * Renders a Markdown document; see parseMarkdown
+ */
+const Markdown = ({ source }) => {
+  const renderBlocks = (blocks) => blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading': {
+        const Heading = `h${block.level}`;
+        const sizes = ['text-3xl', 'text-2xl', 'text-xl', 'text-lg', 'text-base', 'text-base'];
+        return <Heading key={i} className={`${sizes[block.level - 1]} font-bold mt-6 mb-2`}><MarkdownInline nodes={block.children} /></Heading>;
+      }
+      case 'code':
+        return (
+          <pre key={i} className="bg-gray-900 p-4 rounded-lg overflow-x-auto my-4 text-sm">
+            <code data-language={block.language || undefined}>{block.text}</code>
+          </pre>
+        );
+      case 'quote':
+        return <blockquote key={i} className="border-l-4 border-gray-600 pl-4 italic text-gray-400 my-4">{renderBlocks(block.children)}</blockquote>;
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={i} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 my-4 space-y-1`}>
+            {block.items.map((item, j) => <li key={j}><MarkdownInline nodes={item} /></li>)}
+          </List>
+        );
+      }
+      case 'rule':
+        return <hr key={i} className="border-gray-700 my-6" />;
+      default:
+        return (
+          <p key={i} className="my-4">
+            {block.lines.map((line, j) => (
+              <React.Fragment key={j}>
+                {j > 0 && <br />}
+                <MarkdownInline nodes={line} />
+              </React.Fragment>
+            ))}
+          </p>
+        );
+    }
+  });
+
+  return <div>{renderBlocks(parseMarkdown(source))}</div>;
+};
+
+/**
+ * Loads an uploaded image by id. Returns undefined while it is loading and
+ * null if it no longer exists.
+ */
+const useImage = (imageId) => {
+  const { images, loadImage } = useDatabase();
+
+  useEffect(() => {
+    if (imageId) loadImage(imageId).catch(err => console.error("Error loading image: ", err));
+  }, [imageId, loadImage]);
+
+  return imageId ? images[imageId] : null;
+};
+
+// A post's images as { imageId, alt } entries, plus the URL of older posts that linked one
+const getPostImages = (post) => [
+  ...(post.imageUrl ? [{ url: post.imageUrl, alt: post.title }] : []),
+  ...(post.images || []),
+];
+
+/**
+ * <img> that shows a placeholder instead of a broken image
+ */
+const ImageWithFallback = ({ src, alt, className }) => {
+  const { t } = useLocale();
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setFailed(false);
+  }, [src]);
+
+  if (!src || failed) {
+    return (
+      <div role="img" aria-label={alt || t('images.unavailable')} className={`${className} bg-gray-700 flex items-center justify-center text-gray-400 text-sm`}>
+        {t('images.unavailable')}
+      </div>
+    );
+  }
+  return <img src={src} alt={alt || ''} onError={() => setFailed(true)} className={className} />;
+};
+
+/**
+ * One entry from getPostImages, either uploaded or linked
+ */
+const PostImage = ({ image, thumbnail = false, className }) => {
+  const record = useImage(image.imageId);
+  const { t } = useLocale();
+
+  if (image.imageId && record === undefined) {
+    return <div aria-label={t('images.loading')} className={`${className} bg-gray-700 animate-pulse`} />;
+  }
+  const src = image.imageId ? record && (thumbnail ? record.thumbnailUrl : record.dataUrl) : image.url;
+  return <ImageWithFallback src={src} alt={image.alt} className={className} />;
+};
+
+/**
+ * Large view of the selected image with a strip of thumbnails to switch between them
+ */
+const ImageGallery = ({ images }) => {
+  const { t } = useLocale();
+  const [selected, setSelected] = useState(0);
+
+  if (images.length === 0) return null;
+
+  const current = Math.min(selected, images.length - 1);
+
+  return (
+    <div className="mb-6">
+      <PostImage image={images[current]} className="w-full h-80 object-cover rounded-lg" />
+      {images[current].alt && <p className="text-sm text-gray-400 mt-2">{images[current].alt}</p>}
+      {images.length > 1 && (
+        <div className="flex space-x-2 rtl:space-x-reverse mt-2 overflow-x-auto">
+          {images.map((image, i) => (
+            <button
+              key={image.imageId || image.url}
+              onClick={() => setSelected(i)}
+              aria-label={t('images.show', { number: i + 1, total: images.length })}
+              className={`flex-shrink-0 rounded-lg ${i === current ? 'ring-2 ring-blue-500' : 'opacity-70 hover:opacity-100'}`}
+            >
+              <PostImage image={image} thumbnail className="w-20 h-20 object-cover rounded-lg" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Drag-and-drop, file picker and clipboard paste for a post's images, with alt text
+ */
+const ImageUploader = ({ images, setImages, savedImageIds, onUpload, setError }) => {
+  const { uploadImage, deleteImage } = useDatabase();
+  const { t } = useLocale();
+  const [uploading, setUploading] = useState(0);
+  const [dragging, setDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+
+  const addFiles = async (fileList) => {
+    const room = MAX_IMAGES_PER_POST - imagesRef.current.length;
+    let files = Array.from(fileList);
+    if (files.length > room) {
+      setError(t('images.tooMany', { count: MAX_IMAGES_PER_POST }));
+      files = files.slice(0, Math.max(0, room));
+    }
+
+    setUploading(n => n + files.length);
+    await Promise.all(files.map(async (file) => {
+      try {
+        const saved = await uploadImage(file);
+        if (onUpload) onUpload(saved.id);
+        setImages(prev => [...prev, { imageId: saved.id, alt: '' }]);
+      } catch (err) {
+        console.error(err);
+        setError(err.message);
+      } finally {
+        setUploading(n => n - 1);
+      }
+    }));
+  };
+
+  // Pasting an image anywhere on the editor page uploads it
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = Array.from((e.clipboardData && e.clipboardData.files) || []).filter(f => f.type.startsWith('image/'));
+      if (files.length === 0) return;
+      e.preventDefault();
+      addFiles(files);
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleRemove = async (image) => {
+    setImages(prev => prev.filter(i => i !== image));
+    // Uploads the saved post never used can go right away; the rest stay for its edit history
+    if (image.imageId && !savedImageIds.includes(image.imageId)) {
+      try {
+        await deleteImage(image.imageId);
+      } catch (err) {
+        console.error(err);
+      }
+    }
+  };
+
+  const setAlt = (image, alt) => setImages(prev => prev.map(i => i === image ? { ...i, alt } : i));
+
+  return (
+    <div>
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current.click()}
+        className={`w-full p-6 border-2 border-dashed rounded-lg text-center cursor-pointer ${dragging ? 'border-blue-500 bg-gray-700' : 'border-gray-600 text-gray-400'}`}
+      >
+        {uploading > 0
+          ? t('images.uploading', { count: uploading })
+          : t('images.dropzone', { count: MAX_IMAGES_PER_POST })}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={IMAGE_TYPES.join(',')}
+          multiple
+          onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+          className="hidden"
+        />
+      </div>
+      {images.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {images.map(image => (
+            <li key={image.imageId || image.url} className="flex items-center space-x-3 rtl:space-x-reverse bg-gray-700 p-2 rounded-lg">
+              <PostImage image={image} thumbnail className="w-16 h-16 object-cover rounded flex-shrink-0" />
+              <input
+                type="text"
+                value={image.alt}
+                onChange={(e) => setAlt(image, e.target.value)}
+                placeholder={t('images.altPlaceholder')}
+                aria-label={t('images.altLabel')}
+                className="flex-grow p-2 bg-gray-800 rounded-lg text-white"
+              />
+              <button type="button" onClick={() => handleRemove(image)} className="text-red-400 hover:text-red-300 font-semibold px-2">
+                {t('images.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * A post's tags, each linking to its tag page
+ */
+const TagList = ({ post, className = '' }) => {
+  const tags = getPostTags(post);
+  if (tags.length === 0) return null;
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {tags.map(tag => (
+        <Link key={tag} to={`/tags/${encodeURIComponent(tag)}`} className="bg-gray-700 hover:bg-gray-600 text-blue-300 text-sm py-1 px-2 rounded-full">
+          #{tag}
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+const TRENDING_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Sidebar of the tags with the most posts and reactions this week
+ */
+const TrendingTags = () => {
+  const { trendingTags } = useDatabase();
+  const { t } = useLocale();
+  // The window slides even when nothing changes, so re-rank every few minutes
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), TRENDING_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const trending = trendingTags(now);
+
+  return (
+    <aside className="bg-gray-800 p-6 rounded-lg shadow-md">
+      <h3 className="text-xl font-bold mb-4">{t('trending.title')}</h3>
+      {trending.length === 0 ? (
+        <p className="text-gray-400">{t('trending.empty')}</p>
+      ) : (
+        <ol className="space-y-2">
+          {trending.map(({ tag, posts }) => (
+            <li key={tag}>
+              <Link to={`/tags/${encodeURIComponent(tag)}`} className="text-blue-400 hover:underline font-semibold">#{tag}</Link>
+              <span className="block text-sm text-gray-400">{t('trending.postCount', { count: posts })}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </aside>
+  );
+};
+
+/**
+ * Who reacted to a post or comment, filterable by reaction
+ */
+const ReactionList = ({ item, onClose }) => {
+  const { getUser } = useAuth();
+  const { t } = useLocale();
+  const [filter, setFilter] = useState(null);
+  const counts = countReactions(item);
+  const entries = Object.entries(item.reactions || {})
+    .filter(([, reaction]) => !filter || reaction.type === filter)
+    .sort(([, a], [, b]) => new Date(b.at || 0) - new Date(a.at || 0));
+
+  return (
+    <div role="dialog" aria-label={t('reaction.listLabel')} className="absolute end-0 bottom-full mb-2 z-10 w-64 bg-gray-900 border border-gray-700 rounded-lg shadow-lg p-3">
+      <div className="flex flex-wrap gap-1 mb-2 text-sm">
+        <button onClick={() => setFilter(null)} className={`px-2 rounded ${!filter ? 'bg-gray-700' : 'hover:bg-gray-800'}`}>{t('reaction.all')}</button>
+        {REACTIONS.filter(r => counts[r.type] > 0).map(r => (
+          <button key={r.type} onClick={() => setFilter(r.type)} className={`px-2 rounded ${filter === r.type ? 'bg-gray-700' : 'hover:bg-gray-800'}`}>
+            {r.emoji} {counts[r.type]}
+          </button>
+        ))}
+        <button onClick={onClose} aria-label={t('reaction.close')} className="ms-auto px-2 text-gray-400 hover:text-white">&times;</button>
+      </div>
+      <ul className="max-h-48 overflow-y-auto space-y-1">
+        {entries.map(([uid, reaction]) => {
+          const user = getUser(uid);
+          const { emoji } = REACTIONS.find(r => r.type === reaction.type) || {};
+          return (
+            <li key={uid} className="flex justify-between">
+              {user
+                ? <Link to={`/users/${uid}`} className="text-blue-400 hover:underline">{user.displayName}</Link>
+                : <span className="text-gray-400">{DELETED_USER_NAME}</span>}
+              <span>{emoji}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Reaction buttons with per-type counts for a post or comment. Clicking your
+ * current reaction takes it back; the total opens the list of who reacted.
+ */
+const ReactionBar = ({ targetType, item, user, setError, compact = false }) => {
+  const { setReaction, isUnsent } = useDatabase();
+  const { t } = useLocale();
+  const [pending, setPending] = useState(false);
+  const [showingList, setShowingList] = useState(false);
+  const counts = countReactions(item);
+  const total = reactionTotal(item);
+  const mine = user && (item.reactions || {})[user.uid];
+  // Reactions are stored on the record, so they wait until it has been sent
+  const unsent = isUnsent(item.id);
+
+  const handleReact = async (type) => {
+    setPending(true);
+    try {
+      await setReaction(targetType, item.id, type);
+    } catch (err) {
+      console.error(err);
+      if (setError) setError(isUnsent(item.id) ? t('reaction.notSent') : errorMessage(err, t('reaction.failed')));
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const size = compact ? 'py-0.5 px-1.5 text-sm' : 'py-1 px-2';
+
+  return (
+    <div className="relative flex items-center gap-1">
+      {REACTIONS.map(r => {
+        const chosen = mine && mine.type === r.type;
+        // Logged-out visitors only see the reactions that were given
+        if (!user && counts[r.type] === 0) return null;
+        return (
+          <button
+            key={r.type}
+            onClick={() => handleReact(r.type)}
+            disabled={!user || pending || unsent}
+            title={unsent ? t('reaction.notSent') : t(`reaction.${r.type}`)}
+            aria-label={`${t(`reaction.${r.type}`)} (${counts[r.type]})`}
+            aria-pressed={!!chosen}
+            className={`${size} rounded-lg disabled:cursor-default ${chosen ? 'bg-pink-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}
+          >
+            {r.emoji}{counts[r.type] > 0 && <span className="ms-1">{counts[r.type]}</span>}
+          </button>
+        );
+      })}
+      {total > 0 && (
+        <button onClick={() => setShowingList(!showingList)} className={`${compact ? 'text-sm' : ''} ms-1 text-gray-400 hover:text-white hover:underline`}>
+          {t('reaction.count', { count: total })}
+        </button>
+      )}
+      {showingList && total > 0 && <ReactionList item={item} onClose={() => setShowingList(false)} />}
+    </div>
+  );
+};
+
+/**
+ * Toggle that saves a post to the current user's Saved page
+ */
+const BookmarkButton = ({ postId, setError }) => {
+  const { currentUser } = useAuth();
+  const { isBookmarked, toggleBookmark } = useDatabase();
+  const { t } = useLocale();
+  const [pending, setPending] = useState(false);
+
+  if (!currentUser) return null;
+
+  const saved = isBookmarked(postId);
+
+  const handleToggle = async () => {
+    setPending(true);
+    try {
+      await toggleBookmark(postId);
+    } catch (err) {
+      console.error(err);
+      if (setError) setError(errorMessage(err, t('bookmark.failed')));
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleToggle}
+      disabled={pending}
+      title={t(saved ? 'bookmark.remove' : 'bookmark.add')}
+      aria-label={t(saved ? 'bookmark.remove' : 'bookmark.add')}
+      aria-pressed={saved}
+      className={`py-1 px-2 rounded-lg disabled:opacity-50 ${saved ? 'bg-blue-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}
+    >
+      🔖
+    </button>
+  );
+};
+
+/**
+ * Post List (Home Page) Component
+ */
+const PostList = ({ tag, setError }) => {
+  const { currentUser, getFollowing } = useAuth();
+  const { getPost, listPosts, countPostsSince, loading } = useDatabase();
+  const { query } = useRouter();
+  const { t } = useLocale();
+  // The posts on screen are a snapshot: ids of the pages loaded so far, the cursor
+  // for the next page, and the newest post when the snapshot was taken
+  const [feed, setFeed] = useState({ ids: [], nextCursor: null, topCursor: null, ready: false });
+  const sentinelRef = useRef(null);
+
+  // The "Following" tab lives in the URL so it survives refreshes
+  const showFollowing = !tag && !!currentUser && query.get('feed') === 'following';
+  const followedIds = currentUser ? getFollowing(currentUser.uid) : [];
+  const filter = tag ? { tag } : showFollowing ? { authorIds: followedIds } : {};
+  const filterKey = tag ? `tag:${tag}` : showFollowing ? followedIds.join(',') : 'all';
+
+  const loadFirstPage = () => {
+    const { posts: page, nextCursor } = listPosts(filter);
+    setFeed({ ids: page.map(p => p.id), nextCursor, topCursor: page.length ? toCursor(page[0]) : null, ready: true });
+  };
+
+  const loadMore = () => {
+    if (!feed.nextCursor) return;
+    const { posts: page, nextCursor } = listPosts({ ...filter, cursor: feed.nextCursor });
+    setFeed(prev => ({ ...prev, ids: [...prev.ids, ...page.map(p => p.id)], nextCursor }));
+  };
+
+  // The latest loaders, for effects that must not re-run whenever the posts change
+  const loadersRef = useRef(null);
+  loadersRef.current = { loadFirstPage, loadMore };
+
+  // Take a fresh snapshot once posts have loaded and whenever the tab changes.
+  // Later changes to the posts must not reshuffle the feed.
+  useEffect(() => {
+    if (!loading) loadersRef.current.loadFirstPage();
+  }, [loading, filterKey]);
+
+  // Infinite scroll: load the next page when the sentinel scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !feed.nextCursor || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadersRef.current.loadMore();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [feed.nextCursor, filterKey]);
+
+  // Deleted posts simply drop out of the snapshot
+  const posts = feed.ids.map(getPost).filter(Boolean);
+  const newPostCount = feed.ready ? countPostsSince({ ...filter, cursor: feed.topCursor }) : 0;
+
+  const showNewPosts = () => {
+    loadFirstPage();
+    window.scrollTo(0, 0);
+  };
+
+  const tabClass = (active) =>
+    `py-2 px-4 rounded-lg font-semibold ${active ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`;
+
+  return (
+    <div className="max-w-5xl mx-auto flex flex-col lg:flex-row gap-8">
+      <div className="flex-grow min-w-0">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-bold">{tag ? `#${tag}` : t('feed.title')}</h2>
+          {currentUser && (
+            <Link to="/posts/new" className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-5 rounded-lg font-semibold">
+              {t('feed.createPost')}
+            </Link>
+          )}
+        </div>
+        {currentUser && !tag && (
+          <div className="flex space-x-2 rtl:space-x-reverse mb-6">
+            <Link to="/" className={tabClass(!showFollowing)}>{t('feed.everyone')}</Link>
+            <Link to="/?feed=following" className={tabClass(showFollowing)}>{t('feed.following')}</Link>
+          </div>
+        )}
+        {newPostCount > 0 && (
+          <button onClick={showNewPosts} className="w-full bg-blue-600 hover:bg-blue-500 text-white py-2 rounded-lg font-semibold mb-6">
+            {t('feed.newPosts', { count: newPostCount })}
+          </button>
+        )}
+        <div className="space-y-6">
+          {loading && <p className="text-gray-400">{t('feed.loading')}</p>}
+          {feed.ready && posts.length === 0 && (
+            <p className="text-gray-400">
+              {tag
+                ? t('feed.emptyTag', { tag })
+                : showFollowing
+                  ? t(followedIds.length === 0 ? 'feed.notFollowing' : 'feed.emptyFollowing')
+                  : t('feed.empty')}
+            </p>
+          )}
+          {posts.map(post => (
+            <div key={post.id} className="bg-gray-800 p-6 rounded-lg shadow-md">
+              {getPostImages(post).length > 0 && (
+                <div className="mb-4">
+                  <PostImage image={getPostImages(post)[0]} className="w-full h-64 object-cover rounded-lg" />
+                </div>
+              )}
+              <h3 className="text-2xl font-semibold mb-2">{post.title}</h3>
+              <div className="text-sm text-gray-400 mb-4">
+                {t('common.byline', {
+                  author: <AuthorLink authorId={post.authorId} fallbackName={post.authorName} />,
+                  time: <Timestamp value={postTime(post)} />,
+                })}
+                {post.editedAt && ` ${t('common.edited')}`}
+              </div>
+              <p className="text-gray-300 mb-4">{makeExcerpt(markdownToPlainText(post.content))}</p>
+              <TagList post={post} className="mb-4" />
+              <div className="flex justify-between items-center">
+                <Link
+                  to={`/posts/${post.id}`}
+                  className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-semibold"
+                >
+                  {t('feed.readMore')}
+                </Link>
+                <div className="flex items-center gap-2">
+                  <ReactionBar targetType="post" item={post} user={currentUser} setError={setError} />
+                  <BookmarkButton postId={post.id} setError={setError} />
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+        {feed.nextCursor && (
+          <div ref={sentinelRef} className="mt-6">
+            <button onClick={loadMore} className="w-full bg-gray-700 hover:bg-gray-600 text-white py-3 rounded-lg font-semibold">
+              {t('feed.loadMore')}
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="lg:w-64 flex-shrink-0">
+        <TrendingTags />
+      </div>
+    </div>
+  );
+};
+
+const REPORT_REASONS = {
+  spam: 'Spam',
+  harassment: 'Harassment or bullying',
+  hate: 'Hate speech',
+  misinformation: 'Misinformation',
+  inappropriate: 'Inappropriate content',
+  other: 'Something else',
+};
+
+/**
+ * "Report" link that opens a small form for flagging a post or comment to moderators
+ */
+const ReportButton = ({ targetType, targetId, onError, className = 'text-gray-400 hover:text-white' }) => {
+  const { reportContent } = useDatabase();
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('spam');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [reported, setReported] = useState(false);
+
+  if (reported) return <span className="text-gray-400">{t('report.thanks')}</span>;
+  if (!open) return <button onClick={() => setOpen(true)} className={className}>{t('report.open')}</button>;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await reportContent({ targetType, targetId, reason, details });
+      setReported(true);
+    } catch (err) {
+      console.error(err);
+      onError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full bg-gray-900 p-3 rounded-lg space-y-2">
+      <select value={reason} onChange={(e) => setReason(e.target.value)} aria-label={t('report.reason')} className="w-full p-2 bg-gray-700 rounded-lg text-white">
+        {Object.keys(REPORT_REASONS).map(value => <option key={value} value={value}>{t(`report.reason.${value}`)}</option>)}
+      </select>
+      <textarea value={details} onChange={(e) => setDetails(e.target.value)} placeholder={t('report.details')} maxLength={500} className="w-full p-2 bg-gray-700 rounded-lg text-white h-16" />
+      <div className="flex space-x-2 rtl:space-x-reverse">
+        <button type="submit" disabled={submitting} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-lg font-semibold disabled:opacity-50">
+          {t('report.send')}
+        </button>
+        <button type="button" onClick={() => setOpen(false)} className="bg-gray-600 hover:bg-gray-500 text-white py-1 px-3 rounded-lg font-semibold">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Single-line form used for new comments, replies and edits
+ */
+const CommentForm = ({ initialText = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const { t } = useLocale();
+  const [text, setText] = useState(initialText);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (text.trim() === '') return;
+
+    setSubmitting(true);
+    const saved = await onSubmit(text);
+    setSubmitting(false);
+    if (saved) setText('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex space-x-2 rtl:space-x-reverse">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        className="flex-grow p-3 bg-gray-700 rounded-lg text-white"
+      />
+      <button type="submit" disabled={submitting} className="bg-blue-500 hover:bg-blue-600 text-white py-3 px-5 rounded-lg font-semibold disabled:opacity-50">
+        {submitting ? t('common.saving') : submitLabel}
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="bg-gray-600 hover:bg-gray-500 text-white py-3 px-4 rounded-lg font-semibold">
+          {t('common.cancel')}
+        </button>
+      )}
+    </form>
+  );
+};
+
+// Deeper replies stop indenting so long threads stay readable
+const MAX_THREAD_INDENT = 5;
+
+const countReplies = (commentId, repliesByParent) =>
+  (repliesByParent[commentId] || []).reduce((total, reply) => total + 1 + countReplies(reply.id, repliesByParent), 0);
+
+/**
+ * A comment together with its (collapsible) reply thread
+ */
+const CommentThread = ({ comment, repliesByParent, depth, postAuthorId, setCommentError }) => {
+  const { currentUser, getUser } = useAuth();
+  const { addComment, updateComment, deleteComment, deleteContent, setContentHidden, isQueued } = useDatabase();
+  const { t, formatTimestamp } = useLocale();
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [collapsed, setCollapsed] = useState(false);
+
+  const replies = repliesByParent[comment.id] || [];
+  const author = getUser(comment.authorId);
+  const authorName = author ? author.displayName : comment.authorName;
+  const isCommentAuthor = !comment.deleted && isOwner(currentUser, comment);
+  const canEdit = !comment.deleted && can(currentUser, 'comment.update', comment);
+  const canDelete = !comment.deleted && can(currentUser, 'comment.delete', { comment, post: { authorId: postAuthorId } });
+  const isModerator = can(currentUser, 'content.moderate');
+  // Hidden comments read as removed to everyone but their author and moderators
+  const hiddenFromViewer = comment.hidden && !isCommentAuthor && !isModerator;
+
+  const handleReply = async (text) => {
+    setCommentError(null);
+    try {
+      await addComment({
+        postId: comment.postId,
+        parentId: comment.id,
+        text,
+      });
+      setReplying(false);
+      setCollapsed(false);
+      return true;
+    } catch (err) {
+      console.error("Error adding reply: ", err);
+      setCommentError(errorMessage(err, t('comment.replyFailed')));
+      return false;
+    }
+  };
+
+  const handleEdit = async (text) => {
+    setCommentError(null);
+    try {
+      await updateComment(comment.id, text);
+      setEditing(false);
+      return true;
+    } catch (err) {
+      console.error("Error editing comment: ", err);
+      setCommentError(errorMessage(err, t('comment.editFailed')));
+      return false;
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('comment.confirmDelete'))) return;
+    setCommentError(null);
+    try {
+      // Moderators removing someone else's comment go through the audited path
+      if (isCommentAuthor || isOwner(currentUser, { authorId: postAuthorId })) await deleteComment(comment.id);
+      else await deleteContent('comment', comment.id);
+    } catch (err) {
+      console.error("Error deleting comment: ", err);
+      setCommentError(errorMessage(err, t('comment.deleteFailed')));
+    }
+  };
+
+  const handleToggleHidden = async () => {
+    setCommentError(null);
+    try {
+      await setContentHidden('comment', comment.id, !comment.hidden);
+    } catch (err) {
+      console.error("Error hiding comment: ", err);
+      setCommentError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="bg-gray-700 p-4 rounded-lg">
+        {comment.deleted ? (
+          <p className="text-gray-500 italic">{t('comment.deleted')}</p>
+        ) : hiddenFromViewer ? (
+          <p className="text-gray-500 italic">{t('comment.hidden')}</p>
+        ) : (
+          <>
+            <div className="flex justify-between items-center mb-1">
+              <span>
+                <AuthorLink authorId={comment.authorId} fallbackName={comment.authorName} className="font-semibold text-white hover:underline" withMessage />
+              </span>
+              <span className="text-xs text-gray-400">
+                <Timestamp value={comment.createdAt} />
+                {comment.editedAt && <span title={formatTimestamp(comment.editedAt)}> {t('common.edited')}</span>}
+                {isQueued(comment.id) && <span className="text-yellow-300"> · {t('comment.notSent')}</span>}
+              </span>
+            </div>
+            {editing ? (
+              <CommentForm initialText={comment.text} submitLabel={t('comment.save')} onSubmit={handleEdit} onCancel={() => setEditing(false)} />
+            ) : (
+              <p className="text-gray-300">{comment.text}</p>
+            )}
+            {comment.hidden && <p className="text-xs text-yellow-400 mt-1">{t('comment.hiddenNotice')}</p>}
+          </>
+        )}
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2 text-sm">
+          {!comment.deleted && !hiddenFromViewer && (
+            <ReactionBar targetType="comment" item={comment} user={currentUser} setError={setCommentError} compact />
+          )}
+          {currentUser && !comment.deleted && !hiddenFromViewer && (
+            <button onClick={() => setReplying(!replying)} className="text-gray-400 hover:text-white">{t('comment.reply')}</button>
+          )}
+          {canEdit && !editing && (
+            <button onClick={() => setEditing(true)} className="text-gray-400 hover:text-white">{t('comment.edit')}</button>
+          )}
+          {canDelete && (
+            <button onClick={handleDelete} className="text-red-400 hover:text-red-300">{t('comment.delete')}</button>
+          )}
+          {isModerator && !comment.deleted && (
+            <button onClick={handleToggleHidden} className="text-yellow-400 hover:text-yellow-300">{t(comment.hidden ? 'comment.unhide' : 'comment.hide')}</button>
+          )}
+          {currentUser && !comment.deleted && !comment.hidden && !isCommentAuthor && (
+            <ReportButton targetType="comment" targetId={comment.id} onError={setCommentError} />
+          )}
+          {replies.length > 0 && (
+            <button onClick={() => setCollapsed(!collapsed)} className="text-gray-400 hover:text-white">
+              {collapsed ? t('comment.showReplies', { count: countReplies(comment.id, repliesByParent) }) : t('comment.hideReplies')}
+            </button>
+          )}
+        </div>
+      </div>
+      {replying && (
+        <div className="mt-2 ms-4">
+          <CommentForm placeholder={t('comment.replyTo', { name: authorName })} submitLabel={t('comment.reply')} onSubmit={handleReply} onCancel={() => setReplying(false)} />
+        </div>
+      )}
+      {!collapsed && replies.length > 0 && (
+        <div className={`mt-2 space-y-2 ${depth < MAX_THREAD_INDENT ? 'ms-4 ps-4 border-s border-gray-600' : ''}`}>
+          {replies.map(reply => (
+            <CommentThread
+              key={reply.id}
+              comment={reply}
+              repliesByParent={repliesByParent}
+              depth={depth + 1}
+              postAuthorId={postAuthorId}
+              setCommentError={setCommentError}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Real-time Comments Component
+ */
+const Comments = ({ postId, postAuthorId }) => {
+  const { currentUser } = useAuth();
+  const { comments: allComments, getComments, addComment } = useDatabase();
+  const { t } = useLocale();
+  const [loading, setLoading] = useState(true);
+  const [commentError, setCommentError] = useState(null);
+
+  // Refresh this post's comments from the storage adapter
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getComments(postId)
+      .catch(err => {
+        console.error("Error loading comments: ", err);
+        if (!cancelled) setCommentError(t('comments.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [postId, getComments, t]);
+
+  const comments = allComments.filter(c => c.postId === postId);
+  // Newest threads first, but replies read top to bottom in the order they were written
+  const topLevel = comments.filter(c => !c.parentId).sort(byNewest);
+  const repliesByParent = {};
+  comments
+    .filter(c => c.parentId)
+    .sort((a, b) => byNewest(b, a))
+    .forEach(c => {
+      repliesByParent[c.parentId] = [...(repliesByParent[c.parentId] || []), c];
+    });
+
+  const handleAddComment = async (text) => {
+    setCommentError(null);
+    try {
+      await addComment({
+        postId,
+        text,
+      });
+      return true;
+    } catch (err) {
+      console.error("Error adding comment: ", err);
+      setCommentError(errorMessage(err, t('comments.addFailed')));
+      return false;
+    }
+  };
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-2xl font-bold mb-4">{t('comments.title')}</h3>
+      {currentUser ? (
+        <div className="mb-6">
+          <CommentForm placeholder={t('comments.placeholder')} submitLabel={t('comments.submit')} onSubmit={handleAddComment} />
+        </div>
+      ) : (
+        <p className="text-gray-400 mb-4">{t('comments.loginPrompt')}</p>
+      )}
+      {commentError && <p className="text-red-400 mb-4">{commentError}</p>}
+      <div className="space-y-4">
+        {loading && comments.length === 0 && <p className="text-gray-400">{t('comments.loading')}</p>}
+        {!loading && comments.length === 0 && <p className="text-gray-400">{t('comments.empty')}</p>}
+        {topLevel.map(comment => (
+          <CommentThread
+            key={comment.id}
+            comment={comment}
+            repliesByParent={repliesByParent}
+            depth={0}
+            postAuthorId={postAuthorId}
+            setCommentError={setCommentError}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Post Detail View Component
+ */
+const PostDetail = ({ postId, setError }) => {
+  const { currentUser } = useAuth();
+  const { getPost, deletePost, deleteContent, setContentHidden, isQueued, loading } = useDatabase();
+  const { navigate } = useRouter();
+  const { t, formatTimestamp } = useLocale();
+  const post = getPost(postId);
+
+  if (!post) return <p>{t(loading ? 'common.loadingPost' : 'common.postNotFound')}</p>;
+
+  const isAuthor = isOwner(currentUser, post);
+  const isModerator = can(currentUser, 'content.moderate');
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('post.confirmDelete'))) return;
+    try {
+      // Moderators removing someone else's post go through the audited path
+      if (isAuthor) await deletePost(post.id);
+      else await deleteContent('post', post.id);
+      navigate('/', { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, t('post.deleteFailed')));
+    }
+  };
+
+  const handleToggleHidden = async () => {
+    try {
+      await setContentHidden('post', post.id, !post.hidden);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      {post.hidden && (
+        <p className="bg-yellow-900 text-yellow-200 p-3 rounded-lg mb-6">
+          {t('post.hiddenNotice')}
+        </p>
+      )}
+      <ImageGallery images={getPostImages(post)} />
+      <h2 className="text-4xl font-bold mb-4">{post.title}</h2>
+      <div className="text-sm text-gray-400 mb-6">
+        {t('common.byline', {
+          author: <AuthorLink authorId={post.authorId} fallbackName={post.authorName} withMessage />,
+          time: <Timestamp value={postTime(post)} />,
+        })}
+        {post.editedAt && (
+          <> · <Link to={`/posts/${post.id}/history`} className="hover:underline" title={t('post.lastEdited', { time: formatTimestamp(post.editedAt) })}>{t('post.editedLink')}</Link></>
+        )}
+      </div>
+      {isQueued(post.id) && (
+        <p className="bg-gray-700 text-yellow-300 p-3 rounded-lg mb-6">
+          {t('post.queuedNotice')}
+        </p>
+      )}
+      {!isPublished(post, new Date()) && (
+        <p className="bg-gray-700 text-gray-300 p-3 rounded-lg mb-6">
+          {t('post.scheduledNotice', { time: formatTimestamp(post.publishAt) })}
+        </p>
+      )}
+      
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex flex-wrap gap-2 items-center">
+          {can(currentUser, 'post.update', post) && (
+            <Link to={`/posts/${post.id}/edit`} className="bg-yellow-500 hover:bg-yellow-600 text-white py-2 px-4 rounded-lg font-semibold">
+              {t('post.edit')}
+            </Link>
+          )}
+          {can(currentUser, 'post.delete', post) && (
+            <button onClick={handleDelete} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold">
+              {t('post.delete')}
+            </button>
+          )}
+          {isModerator && (
+            <button onClick={handleToggleHidden} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+              {t(post.hidden ? 'post.unhide' : 'post.hide')}
+            </button>
+          )}
+          {currentUser && !isAuthor && !post.hidden && (
+            <ReportButton targetType="post" targetId={post.id} onError={setError} />
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <ReactionBar targetType="post" item={post} user={currentUser} setError={setError} />
+          <BookmarkButton postId={post.id} setError={setError} />
+        </div>
+      </div>
+
+      <div className="text-gray-300 text-lg leading-relaxed">
+        <Markdown source={post.content} />
+      </div>
+      <TagList post={post} className="mt-6" />
+
+      <div className="border-t border-gray-700 mt-8">
+        <Comments postId={post.id} postAuthorId={post.authorId} />
+      </div>
+    </div>
+  );
+};
+
+// Turns the editor's image list back into the post's `images` and legacy `imageUrl` fields
+const splitImages = (images) => {
+  const linked = images.find(img => img.url);
+  return {
+    images: images.filter(img => img.imageId).map(({ imageId, alt }) => ({ imageId, alt })),
+    imageUrl: linked ? linked.url : '',
+  };
+};
+
+// `<input type="datetime-local">` wants local time without a zone, e.g. "2024-05-01T09:30"
+const toDateTimeLocal = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * Post Editor (Create/Edit) Component. Autosaves a draft while you type and can
+ * schedule new posts for later.
+ */
+const PostEditor = ({ postToEdit, draft, setError }) => {
+  const { currentUser } = useAuth();
+  const { addPost, updatePost, saveDraft, deleteDraft, discardDraft, deleteImage } = useDatabase();
+  const { navigate } = useRouter();
+  const { t } = useLocale();
+  const source = draft || postToEdit;
+  const [title, setTitle] = useState(source ? source.title : '');
+  const [content, setContent] = useState(source ? source.content : '');
+  const [images, setImages] = useState(source ? getPostImages(source) : []);
+  const [tagsText, setTagsText] = useState(source && source.tags ? source.tags.join(', ') : '');
+  const [publishAt, setPublishAt] = useState(toDateTimeLocal(source && source.publishAt));
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [draftSavedAt, setDraftSavedAt] = useState(draft ? draft.updatedAt : null);
+  const draftIdRef = useRef(draft ? draft.id : null);
+  // Autosaves run one after another, so a publish can wait for the last one
+  const autosaveRef = useRef(Promise.resolve());
+  const publishingRef = useRef(false);
+  // Images uploaded in this editor, and those a saved draft or the post went on to use
+  const uploadedIdsRef = useRef(new Set());
+  const keptIdsRef = useRef(new Set());
+  const fields = JSON.stringify({ title, content, images, tagsText, publishAt });
+  // What the editor opened with, so untouched posts don't get a draft
+  const initialFieldsRef = useRef(fields);
+  const isEditing = !!postToEdit;
+  // Only posts that haven't gone out yet can be (re)scheduled
+  const canSchedule = !isEditing || !isPublished(postToEdit, new Date());
+
+  // Uploads nothing kept, e.g. from an editor left before its first autosave,
+  // are deleted when it closes
+  useEffect(() => {
+    const uploaded = uploadedIdsRef.current;
+    const kept = keptIdsRef.current;
+    return () => {
+      uploaded.forEach(imageId => {
+        if (!kept.has(imageId)) deleteImage(imageId).catch(err => console.error("Error deleting image: ", err));
+      });
+    };
+  }, [deleteImage]);
+
+  // The draft as the editor has it now, read when an autosave actually runs
+  const currentDraftRef = useRef(null);
+  currentDraftRef.current = () => ({
+    id: draftIdRef.current,
+    authorId: currentUser.uid,
+    postId: isEditing ? postToEdit.id : null,
+    title,
+    content,
+    ...splitImages(images),
+    tags: parseTags(tagsText),
+    publishAt: publishAt ? new Date(publishAt).toISOString() : null,
+  });
+
+  // Save a draft shortly after the user stops typing
+  useEffect(() => {
+    if (!draftIdRef.current && fields === initialFieldsRef.current) return;
+    const timer = setTimeout(() => {
+      autosaveRef.current = autosaveRef.current.then(async () => {
+        if (publishingRef.current) return;
+        try {
+          const saved = await saveDraft(currentDraftRef.current());
+          draftIdRef.current = saved.id;
+          (saved.images || []).forEach(img => keptIdsRef.current.add(img.imageId));
+          setDraftSavedAt(saved.updatedAt);
+        } catch (err) {
+          console.error(err);
+        }
+      });
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [fields, saveDraft]);
+
+  const handleDiscard = async () => {
+    if (!window.confirm(t('editor.confirmDiscard'))) return;
+    publishingRef.current = true;
+    try {
+      await autosaveRef.current;
+      if (draftIdRef.current) {
+        await discardDraft({ id: draftIdRef.current, postId: isEditing ? postToEdit.id : null, ...splitImages(images) });
+      }
+      keptIdsRef.current.clear();
+      navigate(isEditing ? `/posts/${postToEdit.id}` : '/', { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, t('editor.discardFailed')));
+      publishingRef.current = false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    // The textarea's `required` check doesn't run while the preview is showing
+    if (content.trim() === '') {
+      setPreviewing(false);
+      setError(t('editor.emptyContent'));
+      return;
+    }
+    const scheduledFor = canSchedule && publishAt ? new Date(publishAt) : null;
+    if (scheduledFor && scheduledFor <= new Date()) {
+      setError(t('editor.pastPublishTime'));
+      return;
+    }
+    setSaving(true);
+    publishingRef.current = true;
+
+    try {
+      let saved;
+      if (isEditing) {
+        // Only send the fields the editor owns, so reactions added meanwhile aren't overwritten
+        const update = { id: postToEdit.id, title, content, ...splitImages(images), tags: parseTags(tagsText) };
+        if (canSchedule) {
+          // Clearing the time on a scheduled post publishes it right away
+          update.publishAt = (scheduledFor || new Date()).toISOString();
+        }
+        saved = await updatePost(update);
+      } else {
+        saved = await addPost({
+          title,
+          content,
+          ...splitImages(images),
+          tags: parseTags(tagsText),
+          ...(scheduledFor && { publishAt: scheduledFor.toISOString() }),
+        });
+      }
+      (saved.images || []).forEach(img => keptIdsRef.current.add(img.imageId));
+      await autosaveRef.current;
+      // The post is queued either way; a draft left behind while offline can be discarded later
+      if (draftIdRef.current) await deleteDraft(draftIdRef.current).catch(err => console.error(err));
+      navigate(`/posts/${saved.id}`, { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, t('editor.saveFailed')));
+      setSaving(false);
+      publishingRef.current = false;
+    }
+  };
+
+  const submitLabel = isEditing
+    ? t(canSchedule && publishAt ? 'editor.updateScheduled' : 'editor.update')
+    : t(publishAt ? 'editor.schedule' : 'editor.publish');
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <div className="flex justify-between items-baseline mb-6">
+        <h2 className="text-3xl font-bold">{t(isEditing ? 'editor.editTitle' : 'editor.newTitle')}</h2>
+        {draftSavedAt && (
+          <div className="text-sm text-gray-400 space-x-3 rtl:space-x-reverse">
+            <span>{t('editor.draftSaved', { time: <Timestamp value={draftSavedAt} /> })}</span>
+            <button type="button" onClick={handleDiscard} className="text-red-400 hover:text-red-300 font-semibold">
+              {t('editor.discardDraft')}
+            </button>
+          </div>
+        )}
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} placeholder={t('editor.titlePlaceholder')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+        <ImageUploader
+          images={images}
+          setImages={setImages}
+          savedImageIds={((postToEdit && postToEdit.images) || []).map(img => img.imageId)}
+          onUpload={(imageId) => uploadedIdsRef.current.add(imageId)}
+          setError={setError}
+        />
+        <div className="flex space-x-2 rtl:space-x-reverse">
+          <button type="button" onClick={() => setPreviewing(false)} className={`py-1 px-3 rounded-lg font-semibold ${!previewing ? 'bg-gray-600 text-white' : 'text-gray-400 hover:text-white'}`}>
+            {t('editor.write')}
+          </button>
+          <button type="button" onClick={() => setPreviewing(true)} className={`py-1 px-3 rounded-lg font-semibold ${previewing ? 'bg-gray-600 text-white' : 'text-gray-400 hover:text-white'}`}>
+            {t('editor.preview')}
+          </button>
+        </div>
+        {previewing ? (
+          <div className="w-full p-3 bg-gray-700 rounded-lg text-gray-300 min-h-64">
+            {content.trim() ? <Markdown source={content} /> : <p className="text-gray-400">{t('editor.nothingToPreview')}</p>}
+          </div>
+        ) : (
+          <textarea value={content} onChange={(e) => setContent(e.target.value)} placeholder={t('editor.contentPlaceholder')} className="w-full p-3 bg-gray-700 rounded-lg text-white h-64 font-mono" required />
+        )}
+        <div>
+          <input type="text" value={tagsText} onChange={(e) => setTagsText(e.target.value)} placeholder={t('editor.tagsPlaceholder', { count: MAX_TAGS_PER_POST })} className="w-full p-3 bg-gray-700 rounded-lg text-white" />
+          {extractHashtags(content).length > 0 && (
+            <p className="text-sm text-gray-400 mt-1">
+              {t('editor.hashtags', { tags: extractHashtags(content).map(tag => `#${tag}`).join(' ') })}
+            </p>
+          )}
+        </div>
+        {canSchedule && (
+          <label className="flex items-center space-x-3 rtl:space-x-reverse text-gray-300">
+            <span>{t('editor.publishAt')}</span>
+            <input
+              type="datetime-local"
+              value={publishAt}
+              min={toDateTimeLocal(new Date().toISOString())}
+              onChange={(e) => setPublishAt(e.target.value)}
+              className="p-2 bg-gray-700 rounded-lg text-white"
+            />
+            {publishAt
+              ? <button type="button" onClick={() => setPublishAt('')} className="text-gray-400 hover:text-white">{t('editor.publishNow')}</button>
+              : <span className="text-sm text-gray-400">{t('editor.publishNowHint')}</span>}
+          </label>
+        )}
+        <button type="submit" disabled={saving} className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold disabled:opacity-50">
+          {saving ? t('common.saving') : submitLabel}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * Loads the post being edited and any draft to resume, then hands them to the editor.
+ * New posts resume the draft named by `?draft=`; edits resume the user's draft of that post.
+ */
+const PostEditorPage = ({ postId, setError }) => {
+  const { currentUser } = useAuth();
+  const { getPost, getDraft, listDrafts, loading } = useDatabase();
+  const { query } = useRouter();
+  const { t } = useLocale();
+  const draftId = query.get('draft');
+  const [draft, setDraft] = useState(undefined); // undefined while loading
+  const post = postId ? getPost(postId) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = postId
+      ? listDrafts(currentUser.uid).then(drafts => drafts.find(d => d.postId === postId) || null)
+      : draftId ? getDraft(draftId) : Promise.resolve(null);
+    load
+      .then(found => {
+        // Someone else's draft id in the URL just starts a fresh post
+        if (!cancelled) setDraft(found && found.authorId === currentUser.uid ? found : null);
+      })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setDraft(null);
+      });
+    return () => { cancelled = true; };
+  }, [postId, draftId, currentUser.uid, listDrafts, getDraft]);
+
+  if (postId) {
+    if (!post) return <p>{t(loading ? 'common.loadingPost' : 'common.postNotFound')}</p>;
+    if (!can(currentUser, 'post.update', post)) return <p>{PERMISSIONS['post.update'].message}</p>;
+  }
+  if (draft === undefined) return <p>{t('editor.loadingDraft')}</p>;
+
+  return (
+    <PostEditor
+      key={`${postId || 'new'}:${draft ? draft.id : ''}`}
+      postToEdit={post}
+      draft={draft}
+      setError={setError}
+    />
+  );
+};
+
+/**
+ * Highlights what changed between two texts
+ */
+const TextDiff = ({ before, after }) => (
+  <span className="whitespace-pre-wrap">
+    {diffText(before, after).map((part, i) => {
+      if (part.type === 'added') return <ins key={i} className="bg-green-900 text-green-200 no-underline">{part.text}</ins>;
+      if (part.type === 'removed') return <del key={i} className="bg-red-900 text-red-200">{part.text}</del>;
+      return <span key={i}>{part.text}</span>;
+    })}
+  </span>
+);
+
+/**
+ * A post's edit history: every earlier version, what changed in it, and a way for
+ * the author to bring it back
+ */
+const PostHistory = ({ postId, setError }) => {
+  const { currentUser } = useAuth();
+  const { getPost, getRevisions, updatePost, loading } = useDatabase();
+  const { navigate } = useRouter();
+  const [revisions, setRevisions] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [restoring, setRestoring] = useState(false);
+  const post = getPost(postId);
+  const editedAt = post && post.editedAt;
+
+  // Reload when the post is edited, including from another tab
+  useEffect(() => {
+    let cancelled = false;
+    getRevisions(postId)
+      .then(found => { if (!cancelled) setRevisions(found); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setError("Failed to load the edit history.");
+      });
+    return () => { cancelled = true; };
+  }, [postId, editedAt, getRevisions, setError]);
+
+  if (!post) return <p>{loading ? 'Loading post...' : 'Post not found.'}</p>;
+  if (!revisions) return <p>Loading history...</p>;
+
+  // Newest first: the current post, then each version it replaced
+  const versions = [
+    { ...toRevisionFields(post), id: 'current', versionAt: post.editedAt || postTime(post) },
+    ...revisions,
+  ];
+  const index = Math.min(selectedIndex, versions.length - 1);
+  const selected = versions[index];
+  const previous = versions[index + 1];
+  const canRestore = can(currentUser, 'post.update', post);
+
+  const handleRestore = async () => {
+    if (!window.confirm("Restore this version? The current version will be kept in the history.")) return;
+    setRestoring(true);
+    try {
+      await updatePost({ id: post.id, ...toRevisionFields(selected) });
+      navigate(`/posts/${post.id}`);
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, "Failed to restore this version."));
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <Link to={`/posts/${post.id}`} className="text-blue-400 hover:underline">&larr; Back to post</Link>
+      <h2 className="text-3xl font-bold my-4">Edit history</h2>
+      <div className="flex flex-col md:flex-row gap-6">
+        <ul className="md:w-1/3 space-y-2">
+          {versions.map((version, i) => (
+            <li key={version.id}>
+              <button
+                onClick={() => setSelectedIndex(i)}
+                className={`w-full text-left p-2 rounded-lg ${i === index ? 'bg-gray-600 text-white' : 'text-gray-300 hover:bg-gray-700'}`}
+              >
+                <span className="block font-semibold">{i === 0 ? 'Current version' : i === versions.length - 1 ? 'Original' : `Version ${versions.length - i}`}</span>
+                <Timestamp value={version.versionAt} className="block text-sm text-gray-400" />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="md:w-2/3">
+          <p className="text-sm text-gray-400 mb-4">
+            {previous ? 'Changes from the version before it:' : 'The post as first published.'}
+          </p>
+          <h3 className="text-2xl font-bold mb-4">
+            {previous ? <TextDiff before={previous.title} after={selected.title} /> : selected.title}
+          </h3>
+          <div className="text-gray-300 font-mono text-sm bg-gray-900 p-4 rounded-lg">
+            {previous ? <TextDiff before={previous.content} after={selected.content} /> : <span className="whitespace-pre-wrap">{selected.content}</span>}
+          </div>
+          {canRestore && index > 0 && (
+            <button onClick={handleRestore} disabled={restoring} className="mt-4 bg-yellow-500 hover:bg-yellow-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+              {restoring ? 'Restoring...' : 'Restore this version'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Inline form for editing your own display name, bio, avatar, language and time zone
+ */
+const ProfileEditor = ({ user, onDone, setError }) => {
+  const { updateProfile, updatePreferences } = useAuth();
+  const { t } = useLocale();
+  const [displayName, setDisplayName] = useState(user.displayName || '');
+  const [bio, setBio] = useState(user.bio || '');
+  const [avatarUrl, setAvatarUrl] = useState(user.avatarUrl || '');
+  const [language, setLanguage] = useState(user.language || '');
+  const [timeZone, setTimeZone] = useState(user.timeZone || '');
+  const timeZones = useMemo(listTimeZones, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      updateProfile({ displayName, bio, avatarUrl });
+      updatePreferences({ language, timeZone });
+      onDone();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+      <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder={t('profile.displayName')} className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
+      <input type="text" value={avatarUrl} onChange={(e) => setAvatarUrl(e.target.value)} placeholder={t('profile.avatarUrl')} className="w-full p-3 bg-gray-700 rounded-lg text-white" />
+      <textarea value={bio} onChange={(e) => setBio(e.target.value)} placeholder={t('profile.bio')} maxLength={500} className="w-full p-3 bg-gray-700 rounded-lg text-white h-24" />
+      <div className="flex flex-wrap gap-4">
+        <label className="flex-grow text-gray-300">
+          <span className="block text-sm mb-1">{t('profile.language')}</span>
+          <select value={language} onChange={(e) => setLanguage(e.target.value)} className="w-full p-3 bg-gray-700 rounded-lg text-white">
+            <option value="">{t('profile.automatic', { value: LOCALES[detectLocale()].name })}</option>
+            {Object.entries(LOCALES).map(([code, { name }]) => <option key={code} value={code}>{name}</option>)}
+          </select>
+        </label>
+        <label className="flex-grow text-gray-300">
+          <span className="block text-sm mb-1">{t('profile.timeZone')}</span>
+          <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className="w-full p-3 bg-gray-700 rounded-lg text-white">
+            <option value="">{t('profile.automatic', { value: browserTimeZone() })}</option>
+            {timeZones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="flex space-x-2 rtl:space-x-reverse">
+        <button type="submit" className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold">
+          {t('profile.save')}
+        </button>
+        <button type="button" onClick={onDone} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Follow / Unfollow toggle for another user
+ */
+const FollowButton = ({ uid, setError }) => {
+  const { currentUser, isFollowing, follow, unfollow } = useAuth();
+  const { notifyFollow, retractFollow } = useDatabase();
+  const { t } = useLocale();
+
+  if (!currentUser || currentUser.uid === uid) return null;
+
+  const following = isFollowing(uid);
+
+  const handleClick = () => {
+    try {
+      if (following) {
+        unfollow(uid);
+        retractFollow(uid, currentUser.uid);
+      } else {
+        follow(uid);
+        notifyFollow(uid, currentUser.uid);
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      className={`py-2 px-4 rounded-lg font-semibold ${
+        following ? 'bg-gray-600 text-gray-300 hover:bg-gray-500' : 'bg-blue-500 hover:bg-blue-600 text-white'
+      }`}
+    >
+      {t(following ? 'profile.unfollow' : 'profile.follow')}
+    </button>
+  );
+};
+
+/**
+ * Blocks or unblocks another user. Blocked people can't message you, and you
+ * can't message them until you unblock them.
+ */
+const BlockButton = ({ uid, setError, className = 'bg-gray-700 hover:bg-gray-600 text-gray-300 py-2 px-4 rounded-lg font-semibold' }) => {
+  const { currentUser, getUser } = useAuth();
+  const { isBlocking, blockUser, unblockUser } = useDatabase();
+  const { t } = useLocale();
+
+  if (!currentUser || currentUser.uid === uid) return null;
+
+  const blocking = isBlocking(uid);
+
+  const handleClick = async () => {
+    const user = getUser(uid);
+    if (!blocking && !window.confirm(t('profile.confirmBlock', { name: user ? user.displayName : DELETED_USER_NAME }))) return;
+    try {
+      if (blocking) await unblockUser(uid);
+      else await blockUser(uid);
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, t(blocking ? 'profile.unblockFailed' : 'profile.blockFailed')));
+    }
+  };
+
+  return (
+    <button onClick={handleClick} className={className}>
+      {t(blocking ? 'profile.unblock' : 'profile.block')}
+    </button>
+  );
+};
+
+/**
+ * Compact list of users linking to their profiles
+ */
+const UserList = ({ uids, emptyText }) => {
+  const { getUser } = useAuth();
+  const users = uids.map(getUser).filter(Boolean);
+
+  if (users.length === 0) return <p className="text-gray-400">{emptyText}</p>;
+
+  return (
+    <ul className="space-y-2">
+      {users.map(user => (
+        <li key={user.uid}>
+          <Link to={`/users/${user.uid}`} className="text-blue-400 hover:underline">{user.displayName}</Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * The current user's autosaved drafts, with links to pick them back up
+ */
+const MyDrafts = ({ setError }) => {
+  const { currentUser } = useAuth();
+  const { listDrafts, discardDraft, getPost } = useDatabase();
+  const { t } = useLocale();
+  const [drafts, setDrafts] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listDrafts(currentUser.uid)
+      .then(found => { if (!cancelled) setDrafts(found); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setError(t('drafts.loadFailed'));
+      });
+    return () => { cancelled = true; };
+  }, [currentUser.uid, listDrafts, setError, t]);
+
+  const handleDiscard = async (draft) => {
+    if (!window.confirm(t('drafts.confirmDiscard'))) return;
+    try {
+      await discardDraft(draft);
+      setDrafts(prev => prev.filter(d => d.id !== draft.id));
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, t('editor.discardFailed')));
+    }
+  };
+
+  if (!drafts || drafts.length === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-2xl font-bold mb-4">{t('drafts.title')}</h3>
+      <ul className="space-y-2">
+        {drafts.map(draft => {
+          const post = draft.postId && getPost(draft.postId);
+          return (
+            <li key={draft.id} className="flex justify-between items-center bg-gray-700 p-4 rounded-lg">
+              <Link to={draft.postId ? `/posts/${draft.postId}/edit` : `/posts/new?draft=${draft.id}`} className="hover:underline">
+                <span className="block text-lg font-semibold">{draft.title || t('drafts.untitled')}</span>
+                <span className="block text-sm text-gray-400">
+                  {post ? t('drafts.changesTo', { title: post.title }) : t('drafts.newPost')} · {t('drafts.saved', { time: <Timestamp value={draft.updatedAt} /> })}
+                </span>
+              </Link>
+              <button onClick={() => handleDiscard(draft)} className="text-red-400 hover:text-red-300 font-semibold">
+                {t('drafts.discard')}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Change-email and change-password forms, on your own profile. Both ask for the
+ * current password.
+ */
+const AccountSecuritySection = ({ setError }) => {
+  const { currentUser, changeEmail, changePassword } = useAuth();
+  const { t } = useLocale();
+  const [newEmail, setNewEmail] = useState('');
+  const [emailPassword, setEmailPassword] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [working, setWorking] = useState(null); // 'email', 'password' or null
+  const [message, setMessage] = useState(null);
+
+  const run = async (form, action, done) => {
+    setError(null);
+    setMessage(null);
+    setWorking(form);
+    try {
+      await action();
+      done();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    run('email', () => changeEmail(emailPassword, newEmail), () => {
+      setMessage(t('account.emailSent', { email: newEmail.trim() }));
+      setNewEmail('');
+      setEmailPassword('');
+    });
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmation) {
+      setError(t('common.passwordMismatch'));
+      return;
+    }
+    run('password', () => changePassword(currentPassword, newPassword), () => {
+      setMessage(t('account.passwordChanged'));
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmation('');
+    });
+  };
+
+  return (
+    <div className="border-t border-gray-700 mt-8 pt-6">
+      <h3 className="text-2xl font-bold mb-4">{t('account.title')}</h3>
+      <p className="text-gray-300 mb-2">
+        {t('account.email')}: {currentUser.email}
+        {!currentUser.emailVerified && <span className="ms-2 text-sm text-yellow-300">({t('account.unverified')})</span>}
+      </p>
+      {currentUser.pendingEmail && <p className="text-sm text-yellow-300 mb-2">{t('account.pending', { email: currentUser.pendingEmail })}</p>}
+      {message && <p className="bg-gray-700 text-green-300 p-3 rounded-lg mb-4">{message}</p>}
+      <div className="grid md:grid-cols-2 gap-4">
+        <form onSubmit={handleChangeEmail} className="bg-gray-700 p-4 rounded-lg space-y-3">
+          <input type="email" value={newEmail} onChange={(e) => setNewEmail(e.target.value)} placeholder={t('account.newEmail')} className="w-full p-3 bg-gray-800 rounded-lg text-white" required />
+          <input type="password" value={emailPassword} onChange={(e) => setEmailPassword(e.target.value)} placeholder={t('account.currentPassword')} className="w-full p-3 bg-gray-800 rounded-lg text-white" required />
+          <button type="submit" disabled={working !== null} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+            {working === 'email' ? t('common.saving') : t('account.changeEmail')}
+          </button>
+        </form>
+        <form onSubmit={handleChangePassword} className="bg-gray-700 p-4 rounded-lg space-y-3">
+          <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} placeholder={t('account.currentPassword')} className="w-full p-3 bg-gray-800 rounded-lg text-white" required />
+          <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} placeholder={t('common.newPassword', { count: MIN_PASSWORD_LENGTH })} minLength={MIN_PASSWORD_LENGTH} className="w-full p-3 bg-gray-800 rounded-lg text-white" required />
+          <input type="password" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} placeholder={t('common.confirmPassword')} className="w-full p-3 bg-gray-800 rounded-lg text-white" required />
+          <button type="submit" disabled={working !== null} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+            {working === 'password' ? t('common.saving') : t('account.changePassword')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * "Download my data" and account deletion, on your own profile
+ */
+const AccountDataSection = ({ setError }) => {
+  const { currentUser, verifyPassword, deleteAccount } = useAuth();
+  const { exportUserData, eraseUserContent } = useDatabase();
+  const { navigate } = useRouter();
+  const { t } = useLocale();
+  const [deleting, setDeleting] = useState(false);
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState('anonymise');
+  const [working, setWorking] = useState(false);
+
+  const handleDownload = async () => {
+    setError(null);
+    try {
+      const data = await exportUserData(currentUser);
+      downloadJson(`my-data-${currentUser.uid}.json`, data);
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, t('data.exportFailed')));
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setWorking(true);
+    try {
+      await verifyPassword(password);
+      if (!window.confirm(t('data.confirmDelete'))) {
+        setWorking(false);
+        return;
+      }
+      await eraseUserContent(currentUser.uid, mode);
+      deleteAccount();
+      navigate('/', { replace: true });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-700 mt-8 pt-6">
+      <h3 className="text-2xl font-bold mb-4">{t('data.title')}</h3>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={handleDownload} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+          {t('data.download')}
+        </button>
+        {!deleting && (
+          <button onClick={() => setDeleting(true)} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold">
+            {t('data.deleteAccount')}
+          </button>
+        )}
+      </div>
+      {deleting && (
+        <form onSubmit={handleDelete} className="bg-gray-700 p-4 rounded-lg mt-4 space-y-3">
+          <p className="text-gray-300">{t('data.deleteMode')}</p>
+          <label className="block">
+            <input type="radio" name="deleteMode" value="anonymise" checked={mode === 'anonymise'} onChange={() => setMode('anonymise')} className="me-2" />
+            {t('data.anonymise', { name: DELETED_USER_NAME })}
+          </label>
+          <label className="block">
+            <input type="radio" name="deleteMode" value="delete" checked={mode === 'delete'} onChange={() => setMode('delete')} className="me-2" />
+            {t('data.deleteContent')}
+          </label>
+          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder={t('data.password')} className="w-full p-3 bg-gray-800 rounded-lg text-white" required />
+          <div className="flex space-x-2 rtl:space-x-reverse">
+            <button type="submit" disabled={working} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+              {working ? t('data.deleting') : t('data.deleteMine')}
+            </button>
+            <button type="button" onClick={() => setDeleting(false)} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const PROFILE_POSTS_PER_PAGE = 5;
+
+// Newest first
+const byNewestBookmark = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+/**
+ * The collections a user has chosen to share on their profile
+ */
+const PublicCollections = ({ uid }) => {
+  const { listPublicCollections, getPost, bookmarks, bookmarkCollections } = useDatabase();
+  const { t } = useLocale();
+  const [collections, setCollections] = useState([]);
+
+  // Reloads after the owner changes their own bookmarks or collections
+  useEffect(() => {
+    let cancelled = false;
+    listPublicCollections(uid)
+      .then(list => { if (!cancelled) setCollections(list); })
+      .catch(err => console.error("Error loading collections: ", err));
+    return () => { cancelled = true; };
+  }, [uid, listPublicCollections, bookmarks, bookmarkCollections]);
+
+  if (collections.length === 0) return null;
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-2xl font-bold mb-4">{t('profile.collections')}</h3>
+      <div className="space-y-4">
+        {collections.map(collection => {
+          // Posts that were removed or aren't visible to this viewer are left out
+          const posts = [...collection.bookmarks].sort(byNewestBookmark).map(b => getPost(b.postId)).filter(Boolean);
+          return (
+            <div key={collection.id} className="bg-gray-700 p-4 rounded-lg">
+              <h4 className="text-xl font-semibold mb-2">
+                {collection.name}
+                <span className="ms-2 text-sm font-normal text-gray-400">{t('saved.postCount', { count: posts.length })}</span>
+              </h4>
+              {posts.length === 0 ? (
+                <p className="text-gray-400">{t('saved.emptyCollection')}</p>
+              ) : (
+                <ul className="list-disc ps-5 space-y-1">
+                  {posts.map(post => (
+                    <li key={post.id}>
+                      <Link to={`/posts/${post.id}`} className="text-blue-400 hover:underline">{post.title}</Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * User Profile Component
+ */
+const Profile = ({ uid, setError }) => {
+  const { currentUser, getUser, getFollowers, getFollowing } = useAuth();
+  const { posts } = useDatabase();
+  const { t, formatTimestamp, formatDate, formatNumber } = useLocale();
+  const [openList, setOpenList] = useState(null); // 'followers', 'following' or null
+  const [editing, setEditing] = useState(false);
+  const [page, setPage] = useState(0);
+  const user = getUser(uid);
+
+  if (!user) return <p>{t('profile.notFound')}</p>;
+
+  const isOwnProfile = currentUser && currentUser.uid === uid;
+  const userPosts = posts.filter(p => p.authorId === uid);
+  const reactionsReceived = userPosts.reduce((total, p) => total + reactionTotal(p), 0);
+  const followers = getFollowers(uid);
+  const following = getFollowing(uid);
+
+  const pageCount = Math.max(1, Math.ceil(userPosts.length / PROFILE_POSTS_PER_PAGE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pagePosts = userPosts.slice(currentPage * PROFILE_POSTS_PER_PAGE, (currentPage + 1) * PROFILE_POSTS_PER_PAGE);
+
+  const toggleList = (list) => setOpenList(openList === list ? null : list);
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <div className="flex justify-between items-start mb-4">
+        <div className="flex items-center space-x-4 rtl:space-x-reverse">
+          <Avatar user={user} size="w-16 h-16" />
+          <div>
+            <h2 className="text-3xl font-bold">
+              {user.displayName}
+              {getRole(user) !== 'user' && (
+                <span className="ms-3 align-middle bg-blue-900 text-blue-200 text-sm py-1 px-2 rounded-full">{t(`role.${getRole(user)}`)}</span>
+              )}
+              {user.suspension && (
+                <span className="ms-3 align-middle bg-red-900 text-red-200 text-sm py-1 px-2 rounded-full">{t('profile.suspended')}</span>
+              )}
+            </h2>
+            <p className="text-sm text-gray-400">
+              {user.createdAt ? t('profile.joined', { date: formatDate(user.createdAt) }) : t('profile.earlyMember')}
+            </p>
+          </div>
+        </div>
+        {isOwnProfile ? (
+          !editing && (
+            <button onClick={() => setEditing(true)} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+              {t('profile.edit')}
+            </button>
+          )
+        ) : (
+          <div className="flex gap-2">
+            <MessageButton uid={uid} />
+            <FollowButton uid={uid} setError={setError} />
+            <BlockButton uid={uid} setError={setError} />
+          </div>
+        )}
+      </div>
+      {isOwnProfile && <p className="text-gray-400 mb-4">{currentUser.email}</p>}
+      {editing ? (
+        <ProfileEditor user={user} onDone={() => setEditing(false)} setError={setError} />
+      ) : (
+        user.bio && <p className="text-gray-300 mb-4 whitespace-pre-wrap">{user.bio}</p>
+      )}
+      <div className="flex flex-wrap gap-x-6 gap-y-2 mb-6 text-gray-300">
+        <span>{t('profile.postCount', { count: userPosts.length, number: <strong>{formatNumber(userPosts.length)}</strong> })}</span>
+        <span>{t('profile.reactionsReceived', { count: reactionsReceived, number: <strong>{formatNumber(reactionsReceived)}</strong> })}</span>
+        <button onClick={() => toggleList('followers')} className="hover:text-white">
+          {t('profile.followerCount', { count: followers.length, number: <strong>{formatNumber(followers.length)}</strong> })}
+        </button>
+        <button onClick={() => toggleList('following')} className="hover:text-white">
+          {t('profile.followingCount', { count: following.length, number: <strong>{formatNumber(following.length)}</strong> })}
+        </button>
+      </div>
+      {openList && (
+        <div className="bg-gray-700 p-4 rounded-lg mb-6">
+          <h3 className="text-xl font-bold mb-2">{t(openList === 'followers' ? 'profile.followers' : 'profile.following')}</h3>
+          {openList === 'followers'
+            ? <UserList uids={followers} emptyText={t('profile.noFollowers')} />
+            : <UserList uids={following} emptyText={t('profile.notFollowing')} />}
+        </div>
+      )}
+      
+      {isOwnProfile && <MyDrafts setError={setError} />}
+
+      <h3 className="text-2xl font-bold mb-4">{t(isOwnProfile ? 'profile.myPosts' : 'profile.posts')}</h3>
+      <div className="space-y-4">
+        {userPosts.length === 0 && (
+          <p className="text-gray-400">{t(isOwnProfile ? 'profile.noOwnPosts' : 'profile.noPosts')}</p>
+        )}
+        {pagePosts.map(post => (
+          <Link key={post.id} to={`/posts/${post.id}`} className="block bg-gray-700 hover:bg-gray-600 p-4 rounded-lg">
+            <h4 className="text-xl font-semibold">{post.title}</h4>
+            <p className="text-sm text-gray-400">
+              {isPublished(post, new Date())
+                ? <><Timestamp value={postTime(post)} /> · {t('profile.reactionCount', { count: reactionTotal(post) })}</>
+                : t('profile.scheduledFor', { time: formatTimestamp(post.publishAt) })}
+            </p>
+          </Link>
+        ))}
+      </div>
+      {pageCount > 1 && (
+        <div className="flex justify-between items-center mt-6">
+          <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+            {t('profile.previous')}
+          </button>
+          <span className="text-gray-400">{t('profile.page', { page: currentPage + 1, pages: pageCount })}</span>
+          <button onClick={() => setPage(currentPage + 1)} disabled={currentPage === pageCount - 1} className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+            {t('profile.next')}
+          </button>
+        </div>
+      )}
+      <PublicCollections uid={uid} />
+      {isOwnProfile && <AccountSecuritySection setError={setError} />}
+      {isOwnProfile && <AccountDataSection setError={setError} />}
+    </div>
+  );
+};
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Excerpt of `text` around the first query match, with matches highlighted
+ */
+const Snippet = ({ text = '', words }) => {
+  const lower = text.toLowerCase();
+  const positions = words.map(w => lower.indexOf(w)).filter(i => i >= 0);
+  const start = positions.length ? Math.max(0, Math.min(...positions) - 40) : 0;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const excerpt = text.slice(start, end);
+
+  // Words match as prefixes, the same way the index matches them
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'giu');
+  const parts = words.length ? excerpt.split(pattern) : [excerpt];
+
+  return (
+    <p className="text-gray-300">
+      {start > 0 && '...'}
+      {parts.map((part, i) => i % 2 === 1
+        ? <mark key={i} className="bg-yellow-400 text-gray-900 rounded px-0.5">{part}</mark>
+        : part)}
+      {end < text.length && '...'}
+    </p>
+  );
+};
+
+// The ISO timestamp of `time` on a yyyy-mm-dd local calendar day, or undefined
+// if the day (e.g. hand-edited in the URL) isn't a real date
+const dayBoundary = (day, time) => {
+  const date = day ? new Date(`${day}T${time}`) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+};
+
+/**
+ * Search Results Page Component
+ */
+const SearchPage = () => {
+  const { users } = useAuth();
+  const { search, getPost } = useDatabase();
+  const { query, navigate } = useRouter();
+
+  const q = query.get('q') || '';
+  const type = query.get('type') || '';
+  const authorId = query.get('author') || '';
+  const from = query.get('from') || '';
+  const to = query.get('to') || '';
+
+  // Filters live in the URL so results can be shared and survive a refresh
+  const setParam = (name, value) => {
+    const params = new URLSearchParams(query);
+    if (value) {
+      params.set(name, value);
+    } else {
+      params.delete(name);
+    }
+    navigate(`/search?${params.toString()}`, { replace: true });
+  };
+
+  const results = search(q, {
+    type: type || undefined,
+    authorId: authorId || undefined,
+    // Date inputs are local calendar days; compare against the stored ISO timestamps
+    from: dayBoundary(from, '00:00:00'),
+    to: dayBoundary(to, '23:59:59.999'),
+  });
+  const words = tokenize(q);
+
+  const renderResult = (result) => {
+    switch (result.type) {
+      case 'post':
+        return (
+          <>
+            <Link to={`/posts/${result.id}`} className="text-xl font-semibold hover:underline">{result.fields.title}</Link>
+            <Snippet text={result.fields.content} words={words} />
+          </>
+        );
+      case 'comment': {
+        const post = getPost(result.postId);
+        return (
+          <>
+            <Link to={`/posts/${result.postId}`} className="text-xl font-semibold hover:underline">
+              Comment on {post ? post.title : 'a post'}
+            </Link>
+            <Snippet text={result.fields.text} words={words} />
+          </>
+        );
+      }
+      case 'user':
+        return (
+          <Link to={`/users/${result.id}`} className="text-xl font-semibold hover:underline">
+            <Snippet text={result.fields.displayName} words={words} />
+          </Link>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6">Search</h2>
+      <div className="bg-gray-800 p-4 rounded-lg mb-6 space-y-4">
+        <input
+          type="search"
+          value={q}
+          onChange={(e) => setParam('q', e.target.value)}
+          placeholder="Search posts, comments and people..."
+          className="w-full p-3 bg-gray-700 rounded-lg text-white"
+          autoFocus
+        />
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+          <select value={type} onChange={(e) => setParam('type', e.target.value)} className="p-2 bg-gray-700 rounded-lg text-white">
+            <option value="">Everything</option>
+            <option value="post">Posts</option>
+            <option value="comment">Comments</option>
+            <option value="user">People</option>
+          </select>
+          <select value={authorId} onChange={(e) => setParam('author', e.target.value)} className="p-2 bg-gray-700 rounded-lg text-white">
+            <option value="">Any author</option>
+            {users.map(user => <option key={user.uid} value={user.uid}>{user.displayName}</option>)}
+          </select>
+          <input type="date" value={from} onChange={(e) => setParam('from', e.target.value)} aria-label="From date" className="p-2 bg-gray-700 rounded-lg text-white" />
+          <input type="date" value={to} onChange={(e) => setParam('to', e.target.value)} aria-label="To date" className="p-2 bg-gray-700 rounded-lg text-white" />
+        </div>
+      </div>
+      {words.length > 0 && (
+        <p className="text-gray-400 mb-4">{results.length === 1 ? '1 result' : `${results.length} results`}</p>
+      )}
+      <div className="space-y-4">
+        {results.map(result => (
+          <div key={`${result.type}:${result.id}`} className="bg-gray-800 p-4 rounded-lg">
+            <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">
+              {result.type === 'user' ? 'Person' : result.type}
+              {result.type !== 'user' && result.createdAt && <> · <Timestamp value={result.createdAt} /></>}
+            </div>
+            {renderResult(result)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Groups notifications about the same thing ("Alice and 4 others reacted to your post").
+// Unread and read notifications are grouped separately so new activity stands out.
+const groupNotifications = (notifications) => {
+  const groups = new Map();
+  [...notifications].sort(byNewest).forEach(n => {
+    const key = `${n.read ? 'read' : 'unread'}:${n.type}:${n.type === 'follow' ? '' : n.postId}`;
+    if (!groups.has(key)) groups.set(key, { key, type: n.type, postId: n.postId, read: n.read, items: [] });
+    groups.get(key).items.push(n);
+  });
+  return [...groups.values()].map(group => ({
+    ...group,
+    latest: group.items[0],
+    actorIds: [...new Set(group.items.map(n => n.actorId))],
+  }));
+};
+
+const NOTIFICATION_VERBS = {
+  like: 'liked your post',
+  reaction: 'reacted to your post',
+  commentReaction: 'reacted to your comment on',
+  comment: 'commented on your post',
+  reply: 'replied to your comment on',
+  follow: 'started following you',
+};
+
+/**
+ * Notifications Page Component
+ */
+const NotificationsPage = ({ setError }) => {
+  const { getUser } = useAuth();
+  const { notifications, markNotificationsRead, getPost } = useDatabase();
+  const { navigate } = useRouter();
+
+  const groups = groupNotifications(notifications);
+  const unreadIds = notifications.filter(n => !n.read).map(n => n.id);
+
+  const markRead = async (ids) => {
+    try {
+      await markNotificationsRead(ids);
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, "Failed to update notifications."));
+    }
+  };
+
+  const describe = (group) => {
+    const names = group.actorIds.map(uid => {
+      const user = getUser(uid);
+      return user ? user.displayName : 'Someone';
+    });
+    const others = names.length - 1;
+    const who = others === 0 ? names[0] : `${names[0]} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    if (group.type === 'follow') return `${who} ${NOTIFICATION_VERBS.follow}`;
+    const post = getPost(group.postId);
+    const title = post ? ` "${post.title}"` : '';
+    return group.type === 'reply' || group.type === 'commentReaction'
+      ? `${who} ${NOTIFICATION_VERBS[group.type]}${title || ' a post'}`
+      : `${who} ${NOTIFICATION_VERBS[group.type]}${title}`;
+  };
+
+  const handleOpen = (group) => {
+    if (!group.read) markRead(group.items.map(n => n.id));
+    navigate(group.type === 'follow' ? `/users/${group.latest.actorId}` : `/posts/${group.postId}`);
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-bold">Notifications</h2>
+        {unreadIds.length > 0 && (
+          <button onClick={() => markRead(unreadIds)} className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-semibold">
+            Mark all as read
+          </button>
+        )}
+      </div>
+      <div className="space-y-2">
+        {groups.length === 0 && <p className="text-gray-400">No notifications yet.</p>}
+        {groups.map(group => (
+          <div key={group.key} className={`flex justify-between items-center p-4 rounded-lg ${group.read ? 'bg-gray-800' : 'bg-gray-700 border-l-4 border-blue-500'}`}>
+            <button onClick={() => handleOpen(group)} className="text-left flex-grow">
+              <p className={group.read ? 'text-gray-400' : 'text-white font-semibold'}>{describe(group)}</p>
+              <p className="text-xs text-gray-400"><Timestamp value={group.latest.createdAt} /></p>
+            </button>
+            {!group.read && (
+              <button onClick={() => markRead(group.items.map(n => n.id))} className="text-sm text-gray-400 hover:text-white ml-4">
+                Mark as read
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The current user's conversations, most recent first, with unread counts
+ */
+const InboxPage = ({ setError }) => {
+  const { getUser } = useAuth();
+  const { conversations, refreshMessages, isBlocking } = useDatabase();
+
+  useEffect(() => {
+    refreshMessages().catch(err => {
+      console.error(err);
+      setError("Failed to load your messages.");
+    });
+  }, [refreshMessages, setError]);
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6">Messages</h2>
+      <div className="space-y-2">
+        {conversations.length === 0 && (
+          <p className="text-gray-400">No conversations yet. Use the Message button on someone's profile to start one.</p>
+        )}
+        {conversations.map(conversation => {
+          const other = getUser(conversation.otherUid);
+          const fromMe = conversation.latest.recipientId === conversation.otherUid;
+          return (
+            <Link
+              key={conversation.id}
+              to={`/messages/${conversation.otherUid}`}
+              className={`flex items-center space-x-4 p-4 rounded-lg ${conversation.unread ? 'bg-gray-700 border-l-4 border-blue-500' : 'bg-gray-800 hover:bg-gray-700'}`}
+            >
+              <Avatar user={other || { displayName: DELETED_USER_NAME }} />
+              <div className="flex-grow min-w-0">
+                <div className="flex justify-between items-baseline">
+                  <span className={conversation.unread ? 'text-white font-semibold' : 'text-gray-300'}>
+                    {other ? other.displayName : DELETED_USER_NAME}
+                    {isBlocking(conversation.otherUid) && <span className="ml-2 text-xs text-red-300">Blocked</span>}
+                  </span>
+                  <Timestamp value={conversation.latest.createdAt} className="text-xs text-gray-400" />
+                </div>
+                <p className="text-sm text-gray-400 truncate">{fromMe && 'You: '}{conversation.latest.text}</p>
+              </div>
+              {conversation.unread > 0 && (
+                <span className="bg-red-500 text-white text-xs font-bold rounded-full px-2 py-0.5">{conversation.unread}</span>
+              )}
+            </Link>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * A conversation with one other user: the message history and a box to reply
+ */
+const ConversationPage = ({ uid, setError }) => {
+  const { currentUser, getUser } = useAuth();
+  const { getConversation, refreshMessages, sendMessage, markConversationRead, isBlocking, isBlockedBy } = useDatabase();
+  const { formatTimestamp } = useLocale();
+  const other = getUser(uid);
+  const conversation = getConversation(uid);
+  const messages = conversation ? conversation.messages : [];
+  const unread = conversation ? conversation.unread : 0;
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    refreshMessages().catch(err => {
+      console.error(err);
+      setError("Failed to load this conversation.");
+    });
+  }, [uid, refreshMessages, setError]);
+
+  // Reading the conversation marks what they sent as read
+  useEffect(() => {
+    if (unread === 0) return;
+    markConversationRead(uid).catch(err => console.error("Error marking messages read: ", err));
+  }, [uid, unread, markConversationRead]);
+
+  useEffect(() => {
+    if (endRef.current && endRef.current.scrollIntoView) endRef.current.scrollIntoView({ block: 'end' });
+  }, [messages.length]);
+
+  if (uid === currentUser.uid) return <p>You can't message yourself.</p>;
+  if (!other && messages.length === 0) return <p>User not found.</p>;
+
+  const handleSend = async (text) => {
+    setError(null);
+    try {
+      await sendMessage(uid, text);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, "Failed to send message."));
+      return false;
+    }
+  };
+
+  const renderComposer = () => {
+    if (!other) return <p className="text-gray-400">This account has been deleted.</p>;
+    if (isBlocking(uid)) return <p className="text-gray-400">You blocked {other.displayName}. Unblock them to send messages.</p>;
+    if (isBlockedBy(uid)) return <p className="text-gray-400">You can't reply to this conversation.</p>;
+    return <CommentForm placeholder={`Message ${other.displayName}...`} submitLabel="Send" onSubmit={handleSend} />;
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <Link to="/messages" className="text-blue-400 hover:underline">&larr; All messages</Link>
+      <div className="flex justify-between items-center my-4">
+        <div className="flex items-center space-x-3">
+          <Avatar user={other || { displayName: DELETED_USER_NAME }} />
+          <h2 className="text-2xl font-bold">
+            {other ? <Link to={`/users/${uid}`} className="hover:underline">{other.displayName}</Link> : DELETED_USER_NAME}
+          </h2>
+        </div>
+        {other && <BlockButton uid={uid} setError={setError} />}
+      </div>
+      <div className="space-y-3 mb-6 max-h-[60vh] overflow-y-auto">
+        {messages.length === 0 && <p className="text-gray-400">No messages yet. Say hello!</p>}
+        {messages.map(message => {
+          const mine = message.senderId === currentUser.uid;
+          return (
+            <div key={message.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-md p-3 rounded-lg ${mine ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-200'}`}>
+                <p className="whitespace-pre-wrap break-words">{message.text}</p>
+                <p className={`text-xs mt-1 ${mine ? 'text-blue-200' : 'text-gray-400'}`}>
+                  <Timestamp value={message.createdAt} />
+                  {mine && message.readAt && <span title={formatTimestamp(message.readAt)}> · Seen</span>}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+        <div ref={endRef} />
+      </div>
+      {renderComposer()}
+    </div>
+  );
+};
+
+/**
+ * The current user's bookmarks, filtered by `?collection=` (a collection id,
+ * or "unsorted" for bookmarks that aren't in one), with their collections
+ */
+const SavedPage = ({ setError }) => {
+  const {
+    bookmarks, bookmarkCollections, getPost, loading,
+    createCollection, updateCollection, deleteCollection, moveBookmark, removeBookmark,
+  } = useDatabase();
+  const { query, navigate } = useRouter();
+  const { t } = useLocale();
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // the new name while renaming the open collection
+  const [working, setWorking] = useState(false);
+  const requested = query.get('collection');
+
+  useEffect(() => {
+    setRenaming(null);
+  }, [requested]);
+
+  const collections = [...bookmarkCollections].sort((a, b) => a.name.localeCompare(b.name));
+  const selected = collections.find(c => c.id === requested) || null;
+  const unsorted = requested === 'unsorted';
+  const shown = bookmarks
+    .filter(b => (unsorted ? !b.collectionId : !selected || b.collectionId === selected.id))
+    .sort(byNewestBookmark);
+
+  // Runs a change, showing its error in the banner
+  const run = async (change) => {
+    setWorking(true);
+    try {
+      return await change();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await run(() => createCollection(newName));
+    if (created) {
+      setNewName('');
+      navigate(`/saved?collection=${created.id}`);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (await run(() => updateCollection(selected.id, { name: renaming }))) setRenaming(null);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('saved.confirmDelete', { name: selected.name }))) return;
+    const { id } = selected;
+    navigate('/saved', { replace: true });
+    await run(() => deleteCollection(id));
+  };
+
+  const tabClass = (active) => `py-1 px-3 rounded-full ${active ? 'bg-blue-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`;
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6">{t('saved.title')}</h2>
+      <nav className="flex flex-wrap gap-2 mb-4">
+        <Link to="/saved" className={tabClass(!selected && !unsorted)}>{t('saved.all')}</Link>
+        <Link to="/saved?collection=unsorted" className={tabClass(unsorted)}>{t('saved.unsorted')}</Link>
+        {collections.map(collection => (
+          <Link key={collection.id} to={`/saved?collection=${collection.id}`} className={tabClass(selected === collection)}>
+            {collection.name}
+          </Link>
+        ))}
+      </nav>
+      <form onSubmit={handleCreate} className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('saved.newCollection')}
+          maxLength={MAX_COLLECTION_NAME_LENGTH}
+          className="flex-grow p-2 bg-gray-700 rounded-lg text-white"
+          required
+        />
+        <button type="submit" disabled={working} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+          {t('saved.create')}
+        </button>
+      </form>
+
+      {selected && (
+        <div className="bg-gray-900 p-4 rounded-lg mb-6 space-y-3">
+          {renaming !== null ? (
+            <form onSubmit={handleRename} className="flex gap-2">
+              <input
+                type="text"
+                value={renaming}
+                onChange={(e) => setRenaming(e.target.value)}
+                maxLength={MAX_COLLECTION_NAME_LENGTH}
+                aria-label={t('saved.rename')}
+                className="flex-grow p-2 bg-gray-700 rounded-lg text-white"
+                required
+              />
+              <button type="submit" disabled={working} className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-lg font-semibold disabled:opacity-50">
+                {t('saved.saveName')}
+              </button>
+              <button type="button" onClick={() => setRenaming(null)} className="bg-gray-600 hover:bg-gray-500 text-white py-1 px-3 rounded-lg font-semibold">
+                {t('common.cancel')}
+              </button>
+            </form>
+          ) : (
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              <h3 className="text-xl font-bold">{selected.name}</h3>
+              <div className="flex gap-2">
+                <button onClick={() => setRenaming(selected.name)} className="bg-gray-600 hover:bg-gray-500 text-white py-1 px-3 rounded-lg font-semibold">
+                  {t('saved.rename')}
+                </button>
+                <button onClick={handleDelete} disabled={working} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-lg font-semibold disabled:opacity-50">
+                  {t('saved.deleteCollection')}
+                </button>
+              </div>
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-gray-300">
+            <input
+              type="checkbox"
+              checked={selected.isPublic}
+              disabled={working}
+              onChange={(e) => run(() => updateCollection(selected.id, { isPublic: e.target.checked }))}
+            />
+            {t('saved.public')}
+          </label>
+          <p className="text-sm text-gray-400">{t(selected.isPublic ? 'saved.publicNotice' : 'saved.privateNotice')}</p>
+        </div>
+      )}
+
+      {shown.length === 0 && (
+        <p className="text-gray-400">{t(bookmarks.length === 0 ? 'saved.empty' : 'saved.emptyCollection')}</p>
+      )}
+      <ul className="space-y-3">
+        {shown.map(bookmark => {
+          const post = getPost(bookmark.postId);
+          return (
+            <li key={bookmark.id} className="flex flex-wrap items-center gap-3 bg-gray-700 p-4 rounded-lg">
+              <div className="flex-grow min-w-0">
+                {post ? (
+                  <>
+                    <Link to={`/posts/${post.id}`} className="text-xl font-semibold hover:underline">{post.title}</Link>
+                    <p className="text-sm text-gray-400">
+                      {t('common.byline', {
+                        author: <AuthorLink authorId={post.authorId} fallbackName={post.authorName} />,
+                        time: <Timestamp value={postTime(post)} />,
+                      })}
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-gray-400 italic">{t(loading ? 'common.loadingPost' : 'saved.postRemoved')}</p>
+                )}
+                <p className="text-xs text-gray-400">{t('saved.savedAt', { time: <Timestamp value={bookmark.createdAt} /> })}</p>
+              </div>
+              <select
+                value={bookmark.collectionId || ''}
+                onChange={(e) => run(() => moveBookmark(bookmark.id, e.target.value || null))}
+                disabled={working}
+                aria-label={t('saved.moveTo')}
+                className="p-2 bg-gray-600 rounded-lg text-white"
+              >
+                <option value="">{t('saved.unsorted')}</option>
+                {collections.map(collection => <option key={collection.id} value={collection.id}>{collection.name}</option>)}
+              </select>
+              <button onClick={() => run(() => removeBookmark(bookmark.id))} disabled={working} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-3 rounded-lg font-semibold disabled:opacity-50">
+                {t('saved.remove')}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+// --- Mail Outbox ---
+const MAIL_LINK_PATTERN = /(https?:\/\/[^\s]+)/;
+
+// Links back into the app open in place; anything else is a normal link
+const MailText = ({ text }) => text.split(MAIL_LINK_PATTERN).map((part, i) => {
+  if (i % 2 === 0) return part;
+  const { origin } = window.location;
+  return part.startsWith(`${origin}/`)
+    ? <Link key={i} to={part.slice(origin.length)} className="text-blue-400 hover:underline break-all">{part}</Link>
+    : <a key={i} href={part} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline break-all">{part}</a>;
+});
+
+/**
+ * Messages the local mailer has captured instead of sending, newest first
+ */
+const MailOutboxPage = () => {
+  const { mailbox } = useAuth();
+  const [messages, setMessages] = useState(() => (mailbox ? mailbox.list() : []));
+
+  // Pick up mail sent from other tabs
+  useEffect(() => {
+    if (!mailbox) return;
+    const refresh = () => setMessages(mailbox.list());
+    window.addEventListener('storage', refresh);
+    return () => window.removeEventListener('storage', refresh);
+  }, [mailbox]);
+
+  // Without a local outbox to show, /dev/mail isn't a page at all
+  if (!mailbox) return <p>Page not found.</p>;
+
+  const handleClear = () => {
+    if (!window.confirm("Delete all captured mail?")) return;
+    mailbox.clear();
+    setMessages([]);
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-3xl font-bold">Mail Outbox</h2>
+        {messages.length > 0 && (
+          <button onClick={handleClear} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+            Clear
+          </button>
+        )}
       </div>
-    </nav>
+      <p className="text-gray-400 mb-6">
+        No real email is sent in this setup. Everything the app would have mailed shows up here instead.
+      </p>
+      {messages.length === 0 && <p className="text-gray-400">No mail yet.</p>}
+      <ul className="space-y-4">
+        {messages.map(message => (
+          <li key={message.id} className="bg-gray-700 p-4 rounded-lg">
+            <div className="flex justify-between gap-4 text-sm text-gray-400 mb-1">
+              <span>To: {message.to}</span>
+              <Timestamp value={message.sentAt} />
+            </div>
+            <p className="font-semibold mb-2">{message.subject}</p>
+            <p className="text-gray-300 whitespace-pre-wrap break-words"><MailText text={message.text} /></p>
+          </li>
+        ))}
+      </ul>
+    </div>
   );
 };
 
+// --- Sync Page ---
+const WRITE_LABELS = {
+  addPost: 'New post',
+  updatePost: 'Edit to post',
+  addComment: 'New comment',
+  updateComment: 'Edit to comment',
+};
+
+const MERGE_FIELD_LABELS = { title: 'Title', content: 'Content', text: 'Comment', tags: 'Tags', images: 'Images', imageUrl: 'Image link', publishAt: 'Publish time' };
+
+const describeWrite = (entry) => {
+  const fields = entry.record || { ...entry.base, ...entry.patch };
+  const summary = fields.title || fields.text || '';
+  return `${WRITE_LABELS[entry.type]}${summary ? `: "${summary.slice(0, 60)}"` : ''}`;
+};
+
+const formatFieldValue = (field, value, formatTime) => {
+  if (field === 'images') return `${(value || []).length} image(s)`;
+  if (field === 'publishAt') return value ? formatTime(value) : 'Not scheduled';
+  if (Array.isArray(value)) return value.join(', ') || 'None';
+  return value || '';
+};
+
 /**
- * Login Form Component
+ * Lets the user merge a queued edit with the version someone saved meanwhile,
+ * or discard it. Fields only one side changed are merged automatically; for the
+ * rest the user picks a side, and text can be edited by hand.
  */
-const Login = ({ setCurrentPage, setError }) => {
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const { login } = useAuth();
+const ConflictMerge = ({ entry, setError }) => {
+  const { resolveConflict, discardWrite } = useDatabase();
+  const { formatTimestamp } = useLocale();
+  const current = entry.conflict.current;
+  const { merged, clashes } = mergeEdits(entry.base || {}, entry.patch, current);
+  const [values, setValues] = useState(() => Object.fromEntries(clashes.map(field => [field, entry.patch[field]])));
+  const [busy, setBusy] = useState(false);
 
-  const handleLogin = (e) => {
-    e.preventDefault();
-    setError(null);
+  const run = async (action) => {
+    setBusy(true);
     try {
-      login(email, password);
-      setCurrentPage('home');
+      await action();
     } catch (err) {
       console.error(err);
-      setError(err.message);
+      setError(errorMessage(err, "Failed to resolve the conflict."));
+      setBusy(false);
     }
   };
 
   return (
-    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
-      <h2 className="text-3xl font-bold mb-6 text-center">Login</h2>
-      <form onSubmit={handleLogin} className="space-y-4">
-        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
-        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
-        <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold">
-          Login
+    <div className="space-y-4 mt-3">
+      <p className="text-sm text-gray-300">
+        Someone else saved a newer version <Timestamp value={current.updatedAt} />.{' '}
+        {clashes.length === 0 ? "Your changes don't overlap with theirs and can be merged as they are." : "Choose which version to keep where you both made changes."}
+      </p>
+      {clashes.map(field => (
+        <div key={field} className="bg-gray-700 p-3 rounded-lg space-y-2">
+          <div className="flex items-center gap-4 text-sm">
+            <span className="font-semibold">{MERGE_FIELD_LABELS[field] || field}</span>
+            {[['mine', 'Mine', entry.patch[field]], ['theirs', 'Theirs', current[field]]].map(([side, label, value]) => (
+              <label key={side} className="flex items-center gap-1 text-gray-300">
+                <input type="radio" checked={sameValue(values[field], value)} onChange={() => setValues(prev => ({ ...prev, [field]: value }))} />
+                {label}
+              </label>
+            ))}
+          </div>
+          {typeof entry.patch[field] === 'string' && typeof current[field] === 'string' ? (
+            <>
+              <div className="text-sm text-gray-300 bg-gray-800 p-2 rounded">
+                <TextDiff before={current[field]} after={entry.patch[field]} />
+              </div>
+              <textarea
+                value={values[field]}
+                onChange={(e) => setValues(prev => ({ ...prev, [field]: e.target.value }))}
+                aria-label={`Merged ${MERGE_FIELD_LABELS[field] || field}`}
+                className="w-full p-2 bg-gray-800 rounded-lg text-white h-32 font-mono text-sm"
+              />
+            </>
+          ) : (
+            <p className="text-sm text-gray-300">
+              Mine: {formatFieldValue(field, entry.patch[field], formatTimestamp)} · Theirs: {formatFieldValue(field, current[field], formatTimestamp)}
+            </p>
+          )}
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <button disabled={busy} onClick={() => run(() => resolveConflict(entry.id, { ...merged, ...values }))} className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+          Save merged version
         </button>
-      </form>
+        <button disabled={busy} onClick={() => run(() => discardWrite(entry.id))} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+          Discard my changes
+        </button>
+      </div>
     </div>
   );
 };
 
 /**
- * Sign Up Form Component
+ * Changes that haven't reached the server yet: what is waiting, what failed,
+ * and conflicts with changes made elsewhere
  */
-const SignUp = ({ setCurrentPage, setError }) => {
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [displayName, setDisplayName] = useState('');
-  const { signup } = useAuth();
+const SyncPage = ({ setError }) => {
+  const { outbox, online, retrySync, discardWrite } = useDatabase();
+  const { formatTimestamp } = useLocale();
 
-  const handleSignUp = (e) => {
-    e.preventDefault();
-    setError(null);
+  const handleRetry = async () => {
     try {
-      signup(email, password, displayName);
-      setCurrentPage('home');
+      await retrySync();
     } catch (err) {
       console.error(err);
-      setError(err.message);
+      setError(errorMessage(err, "Failed to sync."));
     }
   };
 
-  return (
-    <div className="max-w-md mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
-      <h2 className="text-3xl font-bold mb-6 text-center">Sign Up</h2>
-      <form onSubmit={handleSignUp} className="space-y-4">
-        <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder="Display Name" className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
-        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
-        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password (min. 6 chars)" className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
-        <button type="submit" className="w-full bg-green-500 hover:bg-green-600 text-white py-3 rounded-lg font-semibold">
-          Sign Up
-        </button>
-      </form>
-    </div>
-  );
-};
-
-/**
- * Like Button Component
- */
-const LikeButton = ({ post, user }) => {
-  const { toggleLike } = useDatabase();
-  
-  if (!user) return <span className="text-gray-400">{post.likes.length} Likes</span>;
-
-  const hasLiked = post.likes.includes(user.uid);
-
-  return (
-    <button
-      onClick={() => toggleLike(post.id, user.uid)}
-      className={`py-2 px-4 rounded-lg font-semibold ${
-        hasLiked
-          ? 'bg-pink-500 text-white'
-          : 'bg-gray-600 text-gray-300 hover:bg-gray-500'
-      }`}
-    >
-      {hasLiked ? 'Liked' : 'Like'} ({post.likes.length})
-    </button>
-  );
-};
-
+  const handleDiscard = async (entry) => {
+    if (!window.confirm("Discard this change? It will be lost.")) return;
+    try {
+      await discardWrite(entry.id);
+    } catch (err) {
+      console.error(err);
+      setError(errorMessage(err, "Failed to discard the change."));
+    }
+  };
 
-/**
- * Post List (Home Page) Component
- */
-const PostList = ({ setCurrentPage, setSelectedPost }) => {
-  const { currentUser } = useAuth();
-  const { posts } = useDatabase();
+  const describeStatus = (entry) => {
+    if (entry.status === 'failed') return `Could not be saved: ${entry.error}`;
+    if (entry.attempts === 0) return 'Waiting to send';
+    return `Attempt ${entry.attempts} failed (${entry.error}); trying again at ${formatTimestamp(entry.nextAttemptAt)}`;
+  };
 
   return (
     <div className="max-w-3xl mx-auto">
       <div className="flex justify-between items-center mb-6">
-        <h2 className="text-3xl font-bold">Main Feed</h2>
-        {currentUser && (
-          <button onClick={() => setCurrentPage('createPost')} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-5 rounded-lg font-semibold">
-            Create Post
+        <h2 className="text-3xl font-bold">Sync</h2>
+        {outbox.some(e => e.status !== 'conflict') && (
+          <button onClick={handleRetry} className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-semibold">
+            Retry now
           </button>
         )}
       </div>
-      <div className="space-y-6">
-        {posts.length === 0 && <p className="text-gray-400">No posts yet. Be the first to write one!</p>}
-        {posts.map(post => (
-          <div key={post.id} className="bg-gray-800 p-6 rounded-lg shadow-md">
-            {post.imageUrl && (
-              <img src={post.imageUrl} alt={post.title} className="w-full h-64 object-cover rounded-lg mb-4" />
-            )}
-            <h3 className="text-2xl font-semibold mb-2">{post.title}</h3>
-            <div className="text-sm text-gray-400 mb-4">
-              By {post.authorName} on {formatTimestamp(post.createdAt)}
-            </div>
-            <p className="text-gray-300 mb-4">{post.content.substring(0, 150)}...</p>
-            <div className="flex justify-between items-center">
-              <button
-                onClick={() => {
-                  setSelectedPost(post);
-                  setCurrentPage('postDetail');
-                }}
-                className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-semibold"
-              >
-                Read More & Comment
-              </button>
-              <LikeButton post={post} user={currentUser} />
+      {!online && <p className="text-yellow-300 mb-4">You're offline. Your changes are kept on this device and sent when you reconnect.</p>}
+      {outbox.length === 0 && <p className="text-gray-400">All your changes have been saved.</p>}
+      <div className="space-y-3">
+        {outbox.map(entry => (
+          <div key={entry.id} className={`bg-gray-800 p-4 rounded-lg ${entry.status === 'pending' ? '' : 'border-l-4 border-red-500'}`}>
+            <div className="flex justify-between items-start gap-4">
+              <div>
+                <p className="font-semibold">{describeWrite(entry)}</p>
+                <p className="text-xs text-gray-400">Made <Timestamp value={entry.createdAt} /></p>
+              </div>
+              {!(entry.status === 'conflict' && entry.conflict.reason === 'edited') && (
+                <button onClick={() => handleDiscard(entry)} className="text-sm text-red-400 hover:text-red-300">Discard</button>
+              )}
             </div>
+            {entry.status === 'conflict' ? (
+              entry.conflict.reason === 'edited' ? (
+                <ConflictMerge entry={entry} setError={setError} />
+              ) : (
+                <div className="mt-3 space-y-2">
+                  <p className="text-sm text-red-300">
+                    {entry.collection === 'comments' && entry.record
+                      ? 'The post was deleted before your comment could be saved.'
+                      : `The ${entry.collection === 'posts' ? 'post' : 'comment'} was deleted elsewhere, so your edit can't be saved.`}
+                    {' '}Copy anything you want to keep before discarding it.
+                  </p>
+                  <textarea readOnly value={(entry.record || entry.patch).content || (entry.record || entry.patch).text || ''} className="w-full p-2 bg-gray-700 rounded-lg text-gray-300 h-24 text-sm" />
+                </div>
+              )
+            ) : (
+              <p className={`text-sm mt-2 ${entry.status === 'failed' ? 'text-red-300' : 'text-gray-400'}`}>{describeStatus(entry)}</p>
+            )}
           </div>
         ))}
       </div>
@@ -337,206 +7061,533 @@ const PostList = ({ setCurrentPage, setSelectedPost }) => {
   );
 };
 
+// Reports about the same post or comment are handled together
+const groupReports = (reports) => {
+  const groups = new Map();
+  reports.forEach(report => {
+    const key = `${report.targetType}:${report.targetId}`;
+    if (!groups.has(key)) groups.set(key, { key, targetType: report.targetType, targetId: report.targetId, reports: [] });
+    groups.get(key).reports.push(report);
+  });
+  return [...groups.values()];
+};
+
+const REPORT_STATUSES = { open: 'Open', dismissed: 'Dismissed', actioned: 'Actioned' };
+
 /**
- * Real-time Comments Component
+ * Moderation queue: reported posts and comments, and what to do about them
  */
-const Comments = ({ postId }) => {
-  const { currentUser } = useAuth();
-  const { getComments, addComment } = useDatabase();
-  const [newComment, setNewComment] = useState('');
-  
-  // getComments is synchronous since it's just filtering a state array
-  const comments = getComments(postId); 
+const ModerationPage = ({ setError }) => {
+  const { currentUser, getUser } = useAuth();
+  const { listReports, dismissReport, setContentHidden, deleteContent, suspendAccount, getPost, comments } = useDatabase();
+  const [status, setStatus] = useState('open');
+  const [reports, setReports] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+  const isModerator = can(currentUser, 'content.moderate');
 
-  const handleAddComment = (e) => {
-    e.preventDefault();
-    if (newComment.trim() === '' || !currentUser) return;
+  const loadReports = useCallback(async () => {
+    try {
+      setReports(await listReports(status));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  }, [listReports, status, setError]);
 
+  useEffect(() => {
+    if (isModerator) loadReports();
+  }, [isModerator, loadReports]);
+
+  if (!isModerator) return <p>Only moderators can see the moderation queue.</p>;
+
+  const runAction = async (group, action) => {
+    setBusyKey(group.key);
     try {
-      addComment({
-        postId,
-        text: newComment,
-        authorId: currentUser.uid,
-        authorName: currentUser.displayName,
-      });
-      setNewComment('');
+      await action();
+      await loadReports();
     } catch (err) {
-      console.error("Error adding comment: ", err);
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDismiss = (group) => runAction(group, async () => {
+    for (const report of group.reports.filter(r => r.status === 'open')) {
+      await dismissReport(report);
+    }
+  });
+
+  const handleHide = (group) => runAction(group, () => setContentHidden(group.targetType, group.targetId, true));
+
+  const handleDelete = (group) => {
+    if (!window.confirm(`Delete this ${group.targetType}? This can't be undone.`)) return;
+    runAction(group, () => deleteContent(group.targetType, group.targetId));
+  };
+
+  const handleSuspend = (group) => {
+    const authorId = group.reports[0].targetAuthorId;
+    const author = getUser(authorId);
+    const reason = window.prompt(`Suspend ${author ? author.displayName : 'this user'}? Give a reason they will see when logging in:`);
+    if (reason === null) return;
+    runAction(group, () => suspendAccount(authorId, reason, group.reports[0]));
+  };
+
+  const renderTarget = (group) => {
+    if (group.targetType === 'post') {
+      const post = getPost(group.targetId);
+      if (!post) return <p className="text-gray-500 italic">This post no longer exists.</p>;
+      return (
+        <>
+          <Link to={`/posts/${post.id}`} className="text-xl font-semibold hover:underline">{post.title}</Link>
+          <p className="text-gray-300">{makeExcerpt(markdownToPlainText(post.content), 200)}</p>
+        </>
+      );
     }
+    const comment = comments.find(c => c.id === group.targetId);
+    if (!comment || comment.deleted) return <p className="text-gray-500 italic">This comment no longer exists.</p>;
+    return (
+      <>
+        <Link to={`/posts/${comment.postId}`} className="text-sm text-blue-400 hover:underline">Comment on a post</Link>
+        <p className="text-gray-300">{comment.text}</p>
+      </>
+    );
   };
 
+  const groups = groupReports(reports || []);
+  const tabClass = (active) =>
+    `py-2 px-4 rounded-lg font-semibold ${active ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`;
+
   return (
-    <div className="mt-8">
-      <h3 className="text-2xl font-bold mb-4">Comments</h3>
-      {currentUser ? (
-        <form onSubmit={handleAddComment} className="mb-6 flex space-x-2">
-          <input
-            type="text"
-            value={newComment}
-            onChange={(e) => setNewComment(e.target.value)}
-            placeholder="Write a comment..."
-            className="flex-grow p-3 bg-gray-700 rounded-lg text-white"
-          />
-          <button type="submit" className="bg-blue-500 hover:bg-blue-600 text-white py-3 px-5 rounded-lg font-semibold">
-            Post
-          </button>
-        </form>
-      ) : (
-        <p className="text-gray-400 mb-4">Please log in to comment.</p>
-      )}
+    <div className="max-w-3xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6">Moderation</h2>
+      <div className="flex space-x-2 mb-6">
+        {Object.entries(REPORT_STATUSES).map(([value, label]) => (
+          <button key={value} onClick={() => setStatus(value)} className={tabClass(status === value)}>{label}</button>
+        ))}
+      </div>
       <div className="space-y-4">
-        {comments.length === 0 && <p className="text-gray-400">No comments yet.</p>}
-        {comments.map(comment => (
-          <div key={comment.id} className="bg-gray-700 p-4 rounded-lg">
-            <div className="flex justify-between items-center mb-1">
-              <span className="font-semibold text-white">{comment.authorName}</span>
-              <span className="text-xs text-gray-400">{formatTimestamp(comment.createdAt)}</span>
+        {!reports && <p className="text-gray-400">Loading reports...</p>}
+        {reports && groups.length === 0 && (
+          <p className="text-gray-400">{status === 'open' ? 'Nothing to review. Nice!' : 'No reports here.'}</p>
+        )}
+        {groups.map(group => {
+          const author = getUser(group.reports[0].targetAuthorId);
+          const hasOpen = group.reports.some(r => r.status === 'open');
+          return (
+            <div key={group.key} className="bg-gray-800 p-6 rounded-lg shadow-md">
+              <div className="flex justify-between text-sm text-gray-400 mb-2">
+                <span>
+                  {group.targetType === 'post' ? 'Post' : 'Comment'} by {author ? <Link to={`/users/${author.uid}`} className="hover:underline">{author.displayName}</Link> : 'a deleted user'}
+                  {author && author.suspension && <span className="text-red-400"> (suspended)</span>}
+                </span>
+                <span>{group.reports.length === 1 ? '1 report' : `${group.reports.length} reports`}</span>
+              </div>
+              {renderTarget(group)}
+              <ul className="mt-4 space-y-2">
+                {group.reports.map(report => {
+                  const reporter = getUser(report.reporterId);
+                  return (
+                    <li key={report.id} className="bg-gray-700 p-3 rounded-lg text-sm">
+                      <p>
+                        <strong>{REPORT_REASONS[report.reason] || report.reason}</strong>
+                        <span className="text-gray-400"> · {reporter ? reporter.displayName : 'Someone'} · <Timestamp value={report.createdAt} /></span>
+                      </p>
+                      {report.details && <p className="text-gray-300 mt-1">{report.details}</p>}
+                    </li>
+                  );
+                })}
+              </ul>
+              {hasOpen && (
+                <div className="flex flex-wrap gap-2 mt-4">
+                  <button onClick={() => handleDismiss(group)} disabled={busyKey === group.key} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+                    Dismiss
+                  </button>
+                  <button onClick={() => handleHide(group)} disabled={busyKey === group.key} className="bg-yellow-500 hover:bg-yellow-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+                    Hide
+                  </button>
+                  <button onClick={() => handleDelete(group)} disabled={busyKey === group.key} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+                    Delete
+                  </button>
+                  {author && !author.suspension && (
+                    <button onClick={() => handleSuspend(group)} disabled={busyKey === group.key} className="bg-red-800 hover:bg-red-700 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+                      Suspend author
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
-            <p className="text-gray-300">{comment.text}</p>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
 };
 
+const AUDIT_ACTIONS = {
+  'report.dismiss': 'dismissed a report about',
+  'content.hide': 'hid',
+  'content.unhide': 'unhid',
+  'content.delete': 'deleted',
+  'user.suspend': 'suspended',
+  'user.unsuspend': 'lifted the suspension of',
+  'user.role': 'changed the role of',
+};
+
 /**
- * Post Detail View Component
+ * Admin export of all users, posts and comments, and import with a dry-run preview
  */
-const PostDetail = ({ post, setCurrentPage, setSelectedPost, setError }) => {
-  const { currentUser } = useAuth();
-  const { deletePost } = useDatabase();
-  
-  if (!post) return <p>Loading post...</p>;
+const DataTransferPanel = ({ setError }) => {
+  const { exportUsers, planUserImport, importUsers } = useAuth();
+  const { exportContent, planContentImport, importContent } = useDatabase();
+  // The parsed file and what importing it would do, until applied or cancelled
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('skip');
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const handleExport = async () => {
+    setError(null);
+    try {
+      const content = await exportContent();
+      downloadJson(`export-${new Date().toISOString().slice(0, 10)}.json`, {
+        format: EXPORT_FORMAT,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        collectionVersions: exportCollectionVersions(),
+        exportedAt: new Date().toISOString(),
+        users: exportUsers(),
+        ...content,
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
 
-  const isAuthor = currentUser && currentUser.uid === post.authorId;
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    setResult(null);
+    try {
+      const data = parseExport(await file.text());
+      const contentPlan = await planContentImport(data);
+      setPending({ name: file.name, data, plan: { users: planUserImport(data.users), ...contentPlan } });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
 
-  const handleDelete = () => {
-    if (!window.confirm("Are you sure you want to delete this post?")) return;
+  const handleApply = async () => {
+    setError(null);
+    setWorking(true);
     try {
-      deletePost(post.id);
-      setCurrentPage('home');
-      setSelectedPost(null);
+      const users = importUsers(pending.data.users, mode);
+      const content = await importContent(pending.data, mode);
+      setResult({ users, ...content });
+      setPending(null);
     } catch (err) {
       console.error(err);
-      setError("Failed to delete post.");
+      setError(err.message);
+    } finally {
+      setWorking(false);
     }
   };
 
   return (
-    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
-      {post.imageUrl && (
-        <img src={post.imageUrl} alt={post.title} className="w-full h-80 object-cover rounded-lg mb-6" />
-      )}
-      <h2 className="text-4xl font-bold mb-4">{post.title}</h2>
-      <div className="text-sm text-gray-400 mb-6">
-        By {post.authorName} on {formatTimestamp(post.createdAt)}
+    <div className="bg-gray-800 p-8 rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-2">Export &amp; Import</h2>
+      <p className="text-gray-400 mb-6">
+        Exports include password hashes, so keep the file safe. Uploaded images are not included.
+      </p>
+      <div className="flex flex-wrap gap-2 mb-6">
+        <button onClick={handleExport} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold">
+          Export everything
+        </button>
+        <label className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold cursor-pointer">
+          Import a file...
+          <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+        </label>
       </div>
-      
-      <div className="flex justify-between items-center mb-6">
-        {isAuthor && (
+      {pending && (
+        <div className="bg-gray-700 p-4 rounded-lg space-y-3">
+          <p>
+            Preview of <strong>{pending.name}</strong> (schema version {pending.data.schemaVersion}). Nothing has been changed yet.
+          </p>
+          <ul className="text-gray-300">
+            {EXPORT_COLLECTIONS.map(name => (
+              <li key={name}>
+                <span className="capitalize">{name}</span>: {pending.plan[name].added.length} new, {pending.plan[name].conflicts.length} with ids that already exist
+                {name === 'users' && pending.plan.users.emailClashes.length > 0 &&
+                  `, ${pending.plan.users.emailClashes.length} skipped because their email is taken`}
+              </li>
+            ))}
+          </ul>
+          <label className="flex items-center space-x-3">
+            <span>When an id already exists:</span>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className="p-2 bg-gray-800 rounded-lg text-white">
+              <option value="skip">Keep the existing record</option>
+              <option value="overwrite">Replace it with the imported one</option>
+            </select>
+          </label>
           <div className="flex space-x-2">
-            <button onClick={() => setCurrentPage('editPost')} className="bg-yellow-500 hover:bg-yellow-600 text-white py-2 px-4 rounded-lg font-semibold">
-              Edit Post
+            <button onClick={handleApply} disabled={working} className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold disabled:opacity-50">
+              {working ? 'Importing...' : 'Import'}
             </button>
-            <button onClick={handleDelete} className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded-lg font-semibold">
-              Delete Post
+            <button onClick={() => setPending(null)} className="bg-gray-600 hover:bg-gray-500 text-white py-2 px-4 rounded-lg font-semibold">
+              Cancel
             </button>
           </div>
-        )}
-        <LikeButton post={post} user={currentUser} />
-      </div>
-
-      <p className="text-gray-300 text-lg leading-relaxed whitespace-pre-wrap">
-        {post.content}
-      </p>
-
-      <div className="border-t border-gray-700 mt-8">
-        <Comments postId={post.id} />
-      </div>
+        </div>
+      )}
+      {result && (
+        <p className="text-green-400">
+          Imported {EXPORT_COLLECTIONS.map(name => `${result[name].added} new and ${result[name].replaced} replaced ${name}`).join(', ')}.
+        </p>
+      )}
     </div>
   );
 };
 
 /**
- * Post Editor (Create/Edit) Component
+ * Admin page: user roles and suspensions, plus the audit log of moderator actions
  */
-const PostEditor = ({ postToEdit, setCurrentPage, setSelectedPost, setError }) => {
-  const { currentUser } = useAuth();
-  const { addPost, updatePost } = useDatabase();
-  const [title, setTitle] = useState(postToEdit ? postToEdit.title : '');
-  const [content, setContent] = useState(postToEdit ? postToEdit.content : '');
-  const [imageUrl, setImageUrl] = useState(postToEdit ? postToEdit.imageUrl : '');
-  const isEditing = !!postToEdit;
+const AdminPage = ({ setError }) => {
+  const { currentUser, users, getUser, getUserEmail } = useAuth();
+  const { changeRole, suspendAccount, unsuspendAccount, listAuditLog } = useDatabase();
+  const [entries, setEntries] = useState(null);
+  const isAdmin = can(currentUser, 'admin.access');
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    setError(null);
+  const loadAuditLog = useCallback(async () => {
+    try {
+      setEntries(await listAuditLog());
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  }, [listAuditLog, setError]);
+
+  useEffect(() => {
+    if (isAdmin) loadAuditLog();
+  }, [isAdmin, loadAuditLog]);
+
+  if (!isAdmin) return <p>Only admins can see this page.</p>;
 
+  const run = async (action) => {
+    setError(null);
     try {
-      if (isEditing) {
-        const updatedPost = { ...postToEdit, title, content, imageUrl };
-        updatePost(updatedPost);
-        setSelectedPost(updatedPost);
-        setCurrentPage('postDetail');
-      } else {
-        const newPost = addPost({
-          title,
-          content,
-          imageUrl,
-          authorId: currentUser.uid,
-          authorName: currentUser.displayName,
-        });
-        setSelectedPost(newPost);
-        setCurrentPage('postDetail');
-      }
+      await action();
+      await loadAuditLog();
     } catch (err) {
       console.error(err);
-      setError("Failed to save post.");
+      setError(err.message);
     }
   };
 
+  const handleSuspend = (user) => {
+    const reason = window.prompt(`Suspend ${user.displayName}? Give a reason they will see when logging in:`);
+    if (reason !== null) run(() => suspendAccount(user.uid, reason));
+  };
+
+  const nameOf = (uid) => {
+    const user = getUser(uid);
+    return user ? user.displayName : 'a deleted user';
+  };
+
+  const describeTarget = (entry) => {
+    if (entry.targetType === 'user') return nameOf(entry.targetId);
+    const kind = entry.targetType === 'post' ? 'a post' : 'a comment';
+    return entry.summary ? `${kind} ("${entry.summary}")` : kind;
+  };
+
   return (
-    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
-      <h2 className="text-3xl font-bold mb-6">{isEditing ? 'Edit Post' : 'Create New Post'}</h2>
-      <form onSubmit={handleSubmit} className="space-y-4">
-        <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Post Title" className="w-full p-3 bg-gray-700 rounded-lg text-white" required />
-        <input type="text" value={imageUrl} onChange={(e) => setImageUrl(e.target.value)} placeholder="Image URL (Optional)" className="w-full p-3 bg-gray-700 rounded-lg text-white" />
-        <textarea value={content} onChange={(e) => setContent(e.target.value)} placeholder="Write your post content here..." className="w-full p-3 bg-gray-700 rounded-lg text-white h-64" required />
-        <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold">
-          {isEditing ? 'Update Post' : 'Publish Post'}
-        </button>
-      </form>
+    <div className="max-w-4xl mx-auto space-y-8">
+      <div className="bg-gray-800 p-8 rounded-lg shadow-lg">
+        <h2 className="text-3xl font-bold mb-6">Users</h2>
+        <table className="w-full text-left">
+          <thead>
+            <tr className="text-gray-400 text-sm">
+              <th className="pb-2">Name</th>
+              <th className="pb-2">Role</th>
+              <th className="pb-2">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => (
+              <tr key={user.uid} className="border-t border-gray-700">
+                <td className="py-2">
+                  <Link to={`/users/${user.uid}`} className="hover:underline">{user.displayName}</Link>
+                  <span className="block text-xs text-gray-400">{getUserEmail(user.uid)}</span>
+                </td>
+                <td className="py-2">
+                  <select
+                    value={getRole(user)}
+                    onChange={(e) => run(() => changeRole(user.uid, e.target.value))}
+                    disabled={user.uid === currentUser.uid}
+                    aria-label={`Role of ${user.displayName}`}
+                    className="p-2 bg-gray-700 rounded-lg text-white disabled:opacity-50"
+                  >
+                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </td>
+                <td className="py-2">
+                  {user.suspension ? (
+                    <>
+                      <span className="text-red-400" title={user.suspension.reason}>Suspended</span>
+                      <button onClick={() => run(() => unsuspendAccount(user.uid))} className="ml-3 text-sm text-gray-400 hover:text-white">Lift</button>
+                    </>
+                  ) : user.uid !== currentUser.uid && getRole(user) !== 'admin' && (
+                    <button onClick={() => handleSuspend(user)} className="text-sm text-red-400 hover:text-red-300">Suspend</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <DataTransferPanel setError={setError} />
+
+      <div className="bg-gray-800 p-8 rounded-lg shadow-lg">
+        <h2 className="text-3xl font-bold mb-6">Audit Log</h2>
+        {!entries && <p className="text-gray-400">Loading audit log...</p>}
+        {entries && entries.length === 0 && <p className="text-gray-400">No moderator actions yet.</p>}
+        <ul className="space-y-2">
+          {(entries || []).map(entry => (
+            <li key={entry.id} className="bg-gray-700 p-3 rounded-lg">
+              <p>
+                <strong>{nameOf(entry.actorId)}</strong> {AUDIT_ACTIONS[entry.action] || entry.action} {describeTarget(entry)}
+                {entry.action === 'user.role' && ` to ${entry.summary}`}
+                {entry.action === 'user.suspend' && entry.summary && `: ${entry.summary}`}
+              </p>
+              <p className="text-xs text-gray-400"><Timestamp value={entry.createdAt} /></p>
+            </li>
+          ))}
+        </ul>
+      </div>
     </div>
   );
 };
 
+const STORAGE_LABELS = {
+  [LS_USERS]: 'accounts',
+  [LS_FOLLOWS]: 'follows',
+  [LS_POSTS]: 'posts',
+  [LS_COMMENTS]: 'comments',
+  [LS_IMAGES]: 'images',
+  [LS_NOTIFICATIONS]: 'notifications',
+  [LS_DRAFTS]: 'drafts',
+  [LS_REVISIONS]: 'edit history',
+  [LS_REPORTS]: 'reports',
+  [LS_AUDIT_LOG]: 'audit log',
+  [LS_MESSAGES]: 'messages',
+  [LS_BLOCKS]: 'blocks',
+  [LS_BOOKMARKS]: 'bookmarks',
+  [LS_BOOKMARK_COLLECTIONS]: 'bookmark collections',
+  [LS_OUTBOX]: 'unsent changes',
+  [LS_MAIL]: 'mail outbox',
+};
+
 /**
- * User Profile Component
+ * Warns about stored data that couldn't be read or upgraded. Unreadable data has
+ * been set aside and can be downloaded before it is dismissed for good.
  */
-const Profile = () => {
-  const { currentUser } = useAuth();
-  const { posts } = useDatabase();
-  
-  if (!currentUser) return <p>Loading profile...</p>;
+const StorageWarnings = () => {
+  const { formatTimestamp } = useLocale();
+  const [quarantined, setQuarantined] = useState(readQuarantine);
+  const [issues, setIssues] = useState(() => [...storageIssues]);
 
-  const myPosts = posts.filter(p => p.authorId === currentUser.uid);
+  useEffect(() => {
+    const refresh = () => {
+      setQuarantined(readQuarantine());
+      setIssues([...storageIssues]);
+    };
+    const handleStorage = (e) => {
+      if (e.key === null || e.key === LS_QUARANTINE) refresh();
+    };
+    storageIssueListeners.add(refresh);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      storageIssueListeners.delete(refresh);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  const dismissQuarantined = (entry) => {
+    if (!window.confirm("Throw away this unreadable data? Download it first if you might need it.")) return;
+    localStorage.setItem(LS_QUARANTINE, JSON.stringify(readQuarantine().filter(e => e.id !== entry.id)));
+    setQuarantined(readQuarantine());
+  };
+
+  const dismissIssue = (issue) => {
+    storageIssues.splice(storageIssues.indexOf(issue), 1);
+    setIssues([...storageIssues]);
+  };
+
+  if (quarantined.length === 0 && issues.length === 0) return null;
 
   return (
-    <div className="max-w-3xl mx-auto bg-gray-800 p-8 rounded-lg shadow-lg">
-      <h2 className="text-3xl font-bold mb-4">{currentUser.displayName}</h2>
-      <p className="text-gray-400 mb-6">{currentUser.email}</p>
-      
-      <h3 className="text-2xl font-bold mb-4">My Posts</h3>
-      <div className="space-y-4">
-        {myPosts.length === 0 && <p className="text-gray-400">You haven't written any posts yet.</p>}
-        {myPosts.map(post => (
-          <div key={post.id} className="bg-gray-700 p-4 rounded-lg">
-            <h4 className="text-xl font-semibold">{post.title}</h4>
-            <p className="text-sm text-gray-400">{formatTimestamp(post.createdAt)}</p>
+    <div className="bg-yellow-900 text-yellow-100 p-4 rounded-lg mb-6 space-y-2">
+      {quarantined.map(entry => (
+        <div key={entry.id} className="flex flex-wrap justify-between items-center gap-2">
+          <p>
+            <strong>Warning:</strong> your saved {STORAGE_LABELS[entry.key] || entry.key} couldn't be read ({entry.reason}),
+            so the app started them fresh. The old data was set aside on {formatTimestamp(entry.quarantinedAt)}.
+          </p>
+          <div className="space-x-3">
+            <button onClick={() => downloadFile(`${entry.key}-${entry.quarantinedAt.slice(0, 10)}.txt`, entry.raw, 'text/plain')} className="font-bold underline">
+              Download it
+            </button>
+            <button onClick={() => dismissQuarantined(entry)} className="font-bold">Dismiss</button>
           </div>
-        ))}
-      </div>
+        </div>
+      ))}
+      {issues.map(issue => (
+        <div key={issue.id} className="flex justify-between items-center gap-2">
+          <p><strong>Warning:</strong> {issue.message}</p>
+          <button onClick={() => dismissIssue(issue)} className="font-bold">Dismiss</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Reminds logged-in users to verify their email address, with a way to resend the link
+ */
+const EmailVerificationNotice = () => {
+  const { currentUser, resendVerification, mailbox } = useAuth();
+  const { t } = useLocale();
+  const [status, setStatus] = useState(null); // 'sending', 'sent' or 'failed'
+
+  if (!currentUser || currentUser.emailVerified) return null;
+
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      await resendVerification();
+      setStatus('sent');
+    } catch (err) {
+      console.error(err);
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="bg-blue-900 text-blue-100 p-4 rounded-lg mb-6 flex flex-wrap items-center gap-x-4 gap-y-2">
+      <p className="flex-grow">{t('verifyNotice.text', { email: currentUser.pendingEmail || currentUser.email })}</p>
+      {status === 'sent'
+        ? <span>{t('verifyNotice.sent')}</span>
+        : (
+          <button onClick={handleResend} disabled={status === 'sending'} className="font-bold underline disabled:opacity-50">
+            {t('verifyNotice.resend')}
+          </button>
+        )}
+      {status === 'failed' && <span className="text-red-300">{t('verifyNotice.resendFailed')}</span>}
+      {mailbox && <Link to="/dev/mail" className="font-bold underline">{t('mailbox.open')}</Link>}
     </div>
   );
 };
@@ -545,64 +7596,108 @@ const Profile = () => {
  * Main App Component
  */
 const App = () => {
-  const [currentPage, setCurrentPage] = useState('home'); // 'home', 'postDetail', 'profile', 'login', 'signup', 'createPost', 'editPost'
-  const [selectedPost, setSelectedPost] = useState(null);
   const [error, setError] = useState(null);
 
-  const { currentUser } = useAuth(); // Get user from context
+  const { loadError, reload } = useDatabase();
+  const { route, location } = useRouter();
 
-  // "Protected" routes effect
+  // Clear stale errors when moving between pages
   useEffect(() => {
-    if ((currentPage === 'createPost' || currentPage === 'profile' || currentPage === 'editPost') && !currentUser) {
-      setCurrentPage('login'); // Redirect to login
-    }
-  }, [currentPage, currentUser]);
+    setError(null);
+  }, [location.pathname]);
 
   const renderPage = () => {
-    switch(currentPage) {
+    if (!route) return <p>Page not found.</p>;
+
+    const { params } = route;
+    switch(route.name) {
       case 'home':
-        return <PostList setCurrentPage={setCurrentPage} setSelectedPost={setSelectedPost} />;
+        return <PostList setError={setError} />;
       case 'postDetail':
-        return <PostDetail post={selectedPost} setCurrentPage={setCurrentPage} setSelectedPost={setSelectedPost} setError={setError} />;
+        return <PostDetail postId={params.id} setError={setError} />;
       case 'profile':
-        return currentUser ? <Profile /> : <Login setCurrentPage={setCurrentPage} setError={setError} />;
+        return <Profile key={params.uid} uid={params.uid} setError={setError} />;
       case 'login':
-        return <Login setCurrentPage={setCurrentPage} setError={setError} />;
+        return <Login setError={setError} />;
       case 'signup':
-        return <SignUp setCurrentPage={setCurrentPage} setError={setError} />;
+        return <SignUp setError={setError} />;
+      case 'forgotPassword':
+        return <ForgotPassword setError={setError} />;
+      case 'resetPassword':
+        return <ResetPassword setError={setError} />;
+      case 'verifyEmail':
+        return <VerifyEmail />;
+      case 'mailOutbox':
+        return <MailOutboxPage />;
       case 'createPost':
-        return currentUser ? <PostEditor setCurrentPage={setCurrentPage} setSelectedPost={setSelectedPost} setError={setError} /> : <Login setCurrentPage={setCurrentPage} setError={setError} />;
+        return <PostEditorPage setError={setError} />;
       case 'editPost':
-        return currentUser ? <PostEditor postToEdit={selectedPost} setCurrentPage={setCurrentPage} setSelectedPost={setSelectedPost} setError={setError} /> : <Login setCurrentPage={setCurrentPage} setError={setError} />;
+        return <PostEditorPage postId={params.id} setError={setError} />;
+      case 'tag':
+        return <PostList key={params.tag} tag={normalizeTag(params.tag)} setError={setError} />;
+      case 'postHistory':
+        return <PostHistory postId={params.id} setError={setError} />;
+      case 'search':
+        return <SearchPage />;
+      case 'notifications':
+        return <NotificationsPage setError={setError} />;
+      case 'saved':
+        return <SavedPage setError={setError} />;
+      case 'sync':
+        return <SyncPage setError={setError} />;
+      case 'inbox':
+        return <InboxPage setError={setError} />;
+      case 'conversation':
+        return <ConversationPage key={params.uid} uid={params.uid} setError={setError} />;
+      case 'moderation':
+        return <ModerationPage setError={setError} />;
+      case 'admin':
+        return <AdminPage setError={setError} />;
       default:
-        return <PostList setCurrentPage={setCurrentPage} setSelectedPost={setSelectedPost} />;
+        return <p>Page not found.</p>;
     }
   };
 
   return (
     <div className="min-h-screen bg-gray-900 text-white font-inter">
-      <Navigation setCurrentPage={setCurrentPage} />
+      <Navigation />
       <main className="container mx-auto p-4 md:p-8">
+        <StorageWarnings />
+        <EmailVerificationNotice />
         {error && (
           <div className="bg-red-500 text-white p-4 rounded-lg mb-6">
             <p><strong>Error:</strong> {error}</p>
             <button onClick={() => setError(null)} className="ml-4 font-bold">X</button>
           </div>
         )}
-        {renderPage()}
+        {loadError && (
+          <div className="bg-red-500 text-white p-4 rounded-lg mb-6">
+            <p><strong>Could not load data:</strong> {loadError}</p>
+            <button onClick={reload} className="mt-2 font-bold underline">Retry</button>
+          </div>
+        )}
+        {route && route.requiresAuth ? <RequireAuth>{renderPage()}</RequireAuth> : renderPage()}
       </main>
     </div>
   );
 };
 
 // Wrap the App in its providers
-const AppWrapper = () => (
-  <AuthProvider>
-    <DatabaseProvider>
-      <App />
-    </DatabaseProvider>
-  </AuthProvider>
-);
+const AppWrapper = () => {
+  // Upgrade stored data once, before any provider reads it
+  useState(migrateStoredLists);
 
-export default AppWrapper;
+  return (
+    <RouterProvider>
+      <AuthProvider>
+        <LocaleProvider>
+          <DatabaseProvider>
+            <App />
+          </DatabaseProvider>
+        </LocaleProvider>
+      </AuthProvider>
+    </RouterProvider>
+  );
+};
 
+export default AppWrapper;
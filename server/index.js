@@ -0,0 +1,121 @@
+// Small REST backend for the social media app.
+// Run with `node server/index.js` (requires `express`), then start the
+// client with REACT_APP_API_URL=http://localhost:4000/api.
+// There are no accounts here, so requests are not checked against any user:
+// the app's permission checks run in the browser. Don't expose it publicly.
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.PORT || 4000;
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.json');
+
+// Only these collections may be read or written through the API
+const COLLECTIONS = ['posts', 'comments', 'images', 'notifications', 'drafts', 'revisions', 'reports', 'auditLog', 'messages', 'blocks',
+  'bookmarks', 'bookmarkCollections'];
+
+// --- JSON File Store ---
+// A corrupt store is moved aside rather than crashing the server or being
+// overwritten by the next write
+const loadStore = () => {
+  if (!fs.existsSync(DB_FILE)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    throw new Error('expected an object of collections');
+  } catch (err) {
+    const quarantineFile = `${DB_FILE}.corrupt-${Date.now()}`;
+    fs.renameSync(DB_FILE, quarantineFile);
+    console.warn(`Could not read ${DB_FILE} (${err.message}); moved it to ${quarantineFile} and started empty`);
+    return {};
+  }
+};
+
+let store = loadStore();
+
+const saveStore = () => {
+  // Write to a temp file first so a crash never leaves a half-written store
+  const tmpFile = `${DB_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+  fs.renameSync(tmpFile, DB_FILE);
+};
+
+const getCollection = (name) => store[name] || [];
+
+const setCollection = (name, records) => {
+  store = { ...store, [name]: records };
+  saveStore();
+};
+
+const matchesQuery = (record, query) =>
+  Object.entries(query).every(([field, value]) => String(record[field]) === value);
+
+// --- App ---
+const app = express();
+// Uploaded images arrive as resized data URLs, so allow a few MB per request
+app.use(express.json({ limit: '5mb' }));
+
+// Allow the dev client on another port to call us
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
+
+app.param('collection', (req, res, next, collection) => {
+  if (!COLLECTIONS.includes(collection)) {
+    return res.status(404).json({ error: `Unknown collection "${collection}"` });
+  }
+  next();
+});
+
+app.get('/api/:collection', (req, res) => {
+  res.json(getCollection(req.params.collection).filter(r => matchesQuery(r, req.query)));
+});
+
+app.post('/api/:collection', (req, res) => {
+  const { collection } = req.params;
+  const record = req.body;
+  if (!record || !record.id) {
+    return res.status(400).json({ error: 'Record must have an id' });
+  }
+  const records = getCollection(collection);
+  if (records.some(r => r.id === record.id)) {
+    return res.status(409).json({ error: `Record ${record.id} already exists` });
+  }
+  setCollection(collection, [...records, record]);
+  res.status(201).json(record);
+});
+
+app.patch('/api/:collection/:id', (req, res) => {
+  const { collection, id } = req.params;
+  const records = getCollection(collection);
+  const existing = records.find(r => r.id === id);
+  if (!existing) {
+    return res.status(404).json({ error: `No ${collection} record with id ${id}` });
+  }
+  // A versioned patch must be based on the stored version, or another client's edit would be lost
+  const version = existing.version || 1;
+  if (req.body.version !== undefined && req.body.version !== version + 1) {
+    return res.status(409).json({ error: `Record ${id} has changed since version ${req.body.version - 1}`, current: existing });
+  }
+  const updated = { ...existing, ...req.body, id };
+  setCollection(collection, records.map(r => r.id === id ? updated : r));
+  res.json(updated);
+});
+
+app.delete('/api/:collection', (req, res) => {
+  const { collection } = req.params;
+  // Refuse to wipe a whole collection by accident
+  if (Object.keys(req.query).length === 0) {
+    return res.status(400).json({ error: 'Delete requires a query' });
+  }
+  setCollection(collection, getCollection(collection).filter(r => !matchesQuery(r, req.query)));
+  res.sendStatus(204);
+});
+
+app.listen(PORT, () => {
+  console.log(`API listening on http://localhost:${PORT}/api (store: ${DB_FILE})`);
+});